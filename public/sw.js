@@ -0,0 +1,63 @@
+// Service worker for offline use. Once a building has been opened, the app shell, its
+// models and the map data are all answered from the cache when the network is gone.
+//
+// Files under /assets/ carry a hash of their content in the name (Vite build output), so
+// they are served from the cache first and a changed file simply arrives under a new name.
+// Everything else is fetched from the network first, refreshing the cached copy, so an
+// updated model or map is picked up as soon as the app is online again.
+
+const CACHE_NAME = 'indoor-nav-v1';
+const PRECACHE_URLS = ['/', '/index.html', '/tower-small.glb', '/data/locations.json', '/data/grid.json'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache =>
+    // One missing optional file shouldn't stop the worker from installing
+    Promise.all(PRECACHE_URLS.map(url => cache.add(url).catch(() => null)))
+  ).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+const networkFirst = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE_NAME);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    // Deep links differ only in their query, so any of them can be answered by the app shell
+    if (request.mode === 'navigate') {
+      const shell = await caches.match('/index.html');
+      if (shell) return shell;
+    }
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  event.respondWith(url.pathname.startsWith('/assets/') ? cacheFirst(request) : networkFirst(request));
+});
@@ -1,30 +1,189 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import * as THREE from 'three';
 import { useThreeScene } from './hooks/useThreeScene';
 import { useModelLoader } from './hooks/useModelLoader';
 import { useWalkingObject } from './hooks/useWalkingObject';
+import { useLocationData } from './hooks/useLocationData';
+import { useGridData } from './hooks/useGridData';
+import { useGridAuthoring } from './hooks/useGridAuthoring';
+import { useFloorView } from './hooks/useFloorView';
+import { useRouteLayer } from './hooks/useRouteLayer';
+import { useScenePicking } from './hooks/useScenePicking';
+import { usePoiLayer } from './hooks/usePoiLayer';
+import { useDeepLink } from './hooks/useDeepLink';
+import { useInactivity } from './hooks/useInactivity';
+import { findRoute, ROUTE_PROFILES, DEFAULT_ROUTE_PROFILE } from './utils/Pathfinder';
+import { WALKER_STYLES } from './utils/WalkingObject';
+import { CAMERA_MODES, TOP_DOWN_ORIENTATIONS } from './utils/CameraController';
+import { loadPreference, savePreference } from './utils/preferences';
+import { parseDeepLink } from './utils/deepLink';
+import { createSquareGrid, serializeGridData } from './utils/gridData';
+import { serializeLocationData } from './utils/locationData';
+import { downloadJson, downloadBlob } from './utils/download';
+import { readVenuePackageFile, createVenuePackage } from './utils/venuePackage';
+import {
+  createModelLocations,
+  applyModelConnectors,
+  hasModelConventions,
+  isModelDerivedId
+} from './utils/ModelConventions';
+import {
+  readBuildingModels,
+  cacheBuilding,
+  readCachedBuilding,
+  hashBuilding,
+  hasBuildingChanged,
+  cacheMapData,
+  readCachedMapData
+} from './utils/buildingCache';
+import {
+  DEFAULT_BUILDING_URL,
+  fetchBuildingManifest,
+  createManifestFromFiles,
+  createSingleModelManifest,
+  assignGridFloorIds,
+  findBuildingFloorForHeight
+} from './utils/buildingManifest';
 import NavigationInterface from './components/NavigationInterface';
+import AdminPanel from './components/AdminPanel';
+import FloorSwitcher from './components/FloorSwitcher';
+import Minimap from './components/Minimap';
+import PickPopup from './components/PickPopup';
+import LocationTooltip from './components/LocationTooltip';
+import QrSignSheet from './components/QrSignSheet';
+import KioskAttract from './components/KioskAttract';
+import StatusMessage from './components/StatusMessage';
 import './App.css';
 
+const KIOSK_IDLE_TIMEOUT = 120000; // ms before an unattended kiosk goes back to its welcome screen
+const DEFAULT_MODEL_URL = '/tower-small.glb';
+const MAP_SAVE_DELAY = 1000; // ms of quiet after an edit before the map is stored
+
 function App() {
+  // Route, floor and camera the page was opened with, e.g. from a shared link
+  const [initialLink] = useState(() => parseDeepLink(window.location.search));
+  // A kiosk link fixes the origin to where the screen stands and leaves authoring out
+  const isKiosk = initialLink.kiosk;
+  const [isAttractShown, setIsAttractShown] = useState(isKiosk);
+  const [qrSignLocations, setQrSignLocations] = useState(null); // locations whose signs are open for printing
+
   // Core state for indoor navigation
-  const [markedLocations, setMarkedLocations] = useState([]);
   const [isNavigating, setIsNavigating] = useState(false);
   const [navigationProgress, setNavigationProgress] = useState(0);
   const [currentNavigationStep, setCurrentNavigationStep] = useState(0);
   const [totalNavigationSteps, setTotalNavigationSteps] = useState(0);
   const [navigationPath, setNavigationPath] = useState([]);
+  const [navigationRoute, setNavigationRoute] = useState(null);
+  const [originId, setOriginId] = useState(initialLink.from || '');
+  const [destinationId, setDestinationId] = useState(initialLink.to || '');
+  const [routeProfileId, setRouteProfileId] = useState(initialLink.profile || DEFAULT_ROUTE_PROFILE);
+  const [droppedPins, setDroppedPins] = useState([]); // unnamed floor points picked in the 3D view
+  const [walkerProgress, setWalkerProgress] = useState(null);
+  const [smoothPaths, setSmoothPaths] = useState(true);
+  const [walkerStyle, setWalkerStyleState] = useState(WALKER_STYLES.FIGURE);
+  const [hasAvatar, setHasAvatar] = useState(false);
+  const [cameraMode, setCameraModeState] = useState(() => loadPreference('cameraMode', CAMERA_MODES.FOLLOW));
+  const [topDownOrientation, setTopDownOrientationState] = useState(() =>
+    loadPreference('topDownOrientation', TOP_DOWN_ORIENTATIONS.NORTH_UP));
+
+  // Authoring state for the facility team
+  const [isAdminMode, setIsAdminMode] = useState(false);
+  const [hierarchyItems, setHierarchyItems] = useState([]);
+  const [selectedMeshIds, setSelectedMeshIds] = useState([]);
+  const [buildingFloors, setBuildingFloors] = useState([]);
+  const [hiddenFloorIds, setHiddenFloorIds] = useState([]);
+  const [modelConventions, setModelConventions] = useState(null); // see utils/ModelConventions
+  const [modelConventionWarnings, setModelConventionWarnings] = useState([]);
+
+  // Latest status line or error, shown at the top of the sidebar
+  const [status, setStatus] = useState(null);
+
+  // Stable callbacks so the hooks below don't re-run their effects on every render
+  const handleStatusChange = useCallback((message) => {
+    setStatus({ message, errors: [], isError: false });
+  }, []);
+  // Takes a message or a thrown error; validation errors list their problems under it
+  const handleError = useCallback((error) => {
+    setStatus(typeof error === 'string'
+      ? { message: error, errors: [], isError: true }
+      : { message: error.message.split('\n')[0], errors: error.errors || [], isError: true });
+  }, []);
+  const handleModelLoad = useCallback((items, floors = [], conventions = null) => {
+    setHierarchyItems(items);
+    // useModelLoader pre-ticks the meshes the model marks as walkable
+    setSelectedMeshIds(items.filter(item => item.object.userData.gridCheckbox?.checked).map(item => item.id));
+    setBuildingFloors(floors);
+    setHiddenFloorIds([]);
+    setModelConventions(hasModelConventions(conventions) ? conventions : null);
+    setModelConventionWarnings(conventions?.warnings || []);
+  }, []);
+
+  // Marked locations from the exported locations.json format
+  const {
+    locations: markedLocations,
+    error: locationDataError,
+    setLocations,
+    loadFromUrl: loadLocationsFromUrl,
+    loadFromFile: loadLocationsFromFile
+  } = useLocationData(handleStatusChange);
+
+  // Walkable/blocked grid from the exported grid.json format
+  const {
+    grid,
+    setGrid,
+    loadFromUrl: loadGridFromUrl,
+    loadFromFile: loadGridFromFile
+  } = useGridData(handleStatusChange);
+
+  // Dropped pins can be routed to and from like marked locations, but aren't saved with them
+  const routableLocations = useMemo(() => (droppedPins.length > 0
+    ? [...markedLocations, ...droppedPins]
+    : markedLocations), [markedLocations, droppedPins]);
 
   // Refs for Three.js scene
   const containerRef = useRef();
-  const { scene, camera, renderer, controls } = useThreeScene(containerRef);
+  const {
+    scene,
+    camera,
+    renderer,
+    controls,
+    addPointerListener,
+    isWalkMode,
+    isPointerLocked,
+    setWalkMode,
+    setCollisionObject
+  } = useThreeScene(containerRef);
 
   // Load model functionality
   const {
     currentModel,
-    loadModel,
+    loadBuilding,
+    getFloorObject,
+    generateGrid,
     cleanUp: cleanUpModel
-  } = useModelLoader(scene, camera, controls, () => {}, () => {});
+  } = useModelLoader(scene, camera, controls, handleModelLoad, handleStatusChange);
+
+  // Walk mode bumps into and stands on the loaded building
+  useEffect(() => {
+    setCollisionObject(currentModel);
+  }, [currentModel, setCollisionObject]);
+
+  // Floor switcher: isolate, ghost or explode floors and frame the active one
+  const {
+    mode: floorViewMode,
+    setMode: setFloorViewMode,
+    activeFloorId,
+    selectFloor,
+    followHeight
+  } = useFloorView(camera, controls, getFloorObject, buildingFloors, hiddenFloorIds);
+
+  // The view follows the floor the walker is on
+  const handleWalkerProgress = useCallback((progress) => {
+    setWalkerProgress(progress);
+    setNavigationProgress(progress.fraction);
+    setCurrentNavigationStep(progress.segmentIndex);
+    followHeight(progress.position.y);
+  }, [followHeight]);
 
   // Walking object for navigation animation
   const {
@@ -35,83 +194,715 @@ function App() {
     hideWalker,
     showWalker,
     enableCameraFollow,
-    disableCameraFollow
-  } = useWalkingObject(scene, camera, controls, () => {});
+    disableCameraFollow,
+    setWalkerStyle,
+    loadAvatar,
+    setCameraMode,
+    setTopDownOrientation
+  } = useWalkingObject(scene, camera, controls, handleStatusChange, handleWalkerProgress);
+
+  // Camera mode and top-down orientation are remembered across sessions
+  useEffect(() => {
+    setCameraMode(cameraMode);
+    savePreference('cameraMode', cameraMode);
+  }, [cameraMode, setCameraMode]);
 
-  // Load default model on component mount (for demo purposes)
   useEffect(() => {
-    // In a real application, you would load the specific model file
-    // For now, we'll load the tower-small.glb from public folder
-    const loadDefaultModel = async () => {
+    setTopDownOrientation(topDownOrientation);
+    savePreference('topDownOrientation', topDownOrientation);
+  }, [topDownOrientation, setTopDownOrientation]);
+
+  // Grid overlay and click-drag editing in authoring mode
+  const {
+    mode: authoringMode,
+    setMode: setAuthoringMode,
+    activeFloor: authoringFloor,
+    setActiveFloor: setAuthoringFloor,
+    pendingCell,
+    clearPendingCell,
+    createLocationAtPendingCell,
+    connectorStart,
+    pendingConnector,
+    createPendingConnector,
+    clearPendingConnector,
+    deleteConnector
+  } = useGridAuthoring(scene, controls, addPointerListener, grid, setGrid, handleStatusChange, isAdminMode);
+
+  // Locations and grid for a building: the ones stored for its hash, otherwise the ones
+  // shipped in public/data when useShipped is set, otherwise none, so another building's map
+  // is never carried over. Edits are then stored under that hash.
+  const [mapHash, setMapHash] = useState(null);
+  const [mapRevision, setMapRevision] = useState(0); // counts restores, so the model's own data can follow each one
+  const [appliedMapRevision, setAppliedMapRevision] = useState(0); // the restore the model's data was last applied to
+  const restoreMapData = useCallback(async (hash, useShipped) => {
+    let stored = null;
+    if (hash) {
       try {
-        const response = await fetch('/tower-small.glb');
-        if (response.ok) {
-          const blob = await response.blob();
-          const file = new File([blob], 'tower-small.glb', { type: 'model/gltf-binary' });
-          loadModel(file);
-        }
+        stored = await readCachedMapData(hash);
       } catch (error) {
+        console.warn('Stored map unavailable:', error);
+      }
+    }
+
+    await Promise.all([
+      stored?.locations ? setLocations(stored.locations.locations) : useShipped ? loadLocationsFromUrl() : setLocations([]),
+      stored?.grid ? setGrid(stored.grid) : useShipped ? loadGridFromUrl() : setGrid(null)
+    ]);
+    setMapHash(hash);
+    setMapRevision(revision => revision + 1);
+  }, [setLocations, setGrid, loadLocationsFromUrl, loadGridFromUrl]);
+
+  // Loads a building, remembers it for the next visit (see buildingCache) and switches to
+  // its map. source is where it can be fetched again, or null for picked files. Each model
+  // is downloaded once, and those bytes are both loaded and stored; models already read
+  // (by refreshStoredBuilding) aren't downloaded at all.
+  const openBuilding = useCallback(async (manifest, resolveModelUrl, source, { useShippedMap = false, models = null } = {}) => {
+    let buildingModels = models;
+    if (!buildingModels) {
+      try {
+        buildingModels = await readBuildingModels(manifest, resolveModelUrl);
+      } catch (error) {
+        console.error('Error loading model:', error);
+        handleError(error);
+        return false;
+      }
+    }
+    if (!await loadBuilding(manifest, resolveModelUrl, buildingModels)) return false;
+
+    let hash = null;
+    try {
+      hash = await cacheBuilding(manifest, buildingModels, source);
+    } catch (error) {
+      console.warn('Building not stored for offline use:', error);
+    }
+    await restoreMapData(hash, useShippedMap);
+    return true;
+  }, [loadBuilding, restoreMapData, handleError]);
+
+  // A stored building that came from the server is compared with the server's copy. If the
+  // models changed it is reloaded, and the map stored for the old models is left behind.
+  // The models' headers are checked first, so they're only downloaded when they may differ.
+  const refreshStoredBuilding = useCallback(async (stored) => {
+    const { hash, source } = stored;
+    if (!source || !navigator.onLine) return;
+
+    try {
+      const { manifest, resolveModelUrl } = source.manifestUrl
+        ? await fetchBuildingManifest(source.manifestUrl)
+        : { manifest: createSingleModelManifest(source.modelUrl), resolveModelUrl: (floor) => floor.model };
+      if (await hasBuildingChanged(stored, manifest, resolveModelUrl) === false) return;
+
+      const models = await readBuildingModels(manifest, resolveModelUrl);
+      if (await hashBuilding(manifest, models) !== hash) {
+        handleStatusChange('The building has changed since it was stored; reloading it.');
+        await openBuilding(manifest, resolveModelUrl, source, { useShippedMap: true, models });
+      }
+    } catch (error) {
+      console.warn('Could not check the stored building for changes:', error);
+    }
+  }, [openBuilding, handleStatusChange]);
+
+  // Reopen the building from the last visit straight from storage, or start with the
+  // default model and the map shipped with it
+  const hasStartedRef = useRef(false);
+  useEffect(() => {
+    if (!scene || !camera || !controls || hasStartedRef.current) return;
+    hasStartedRef.current = true;
+
+    const start = async () => {
+      const stored = await readCachedBuilding().catch(error => {
+        console.warn('Stored building unavailable:', error);
+        return null;
+      });
+      if (stored) {
+        const loaded = await loadBuilding(stored.manifest, stored.resolveModelUrl);
+        stored.dispose();
+        if (loaded) {
+          await restoreMapData(stored.hash, true);
+          refreshStoredBuilding(stored);
+          return;
+        }
+      }
+
+      const opened = await openBuilding(
+        createSingleModelManifest(DEFAULT_MODEL_URL),
+        (floor) => floor.model,
+        { modelUrl: DEFAULT_MODEL_URL },
+        { useShippedMap: true }
+      );
+      if (!opened) {
         console.log('Default model not found, user will need to load a model');
+        await restoreMapData(null, true);
       }
     };
+    start();
+  }, [scene, camera, controls, loadBuilding, openBuilding, restoreMapData, refreshStoredBuilding]);
 
-    loadDefaultModel();
-  }, [loadModel]);
+  // Authored locations and grid are stored with the building they belong to
+  useEffect(() => {
+    if (!mapHash) return;
 
-  // Navigation handlers
-  const handleStartNavigation = (originId, destinationId) => {
-    const originLocation = markedLocations.find(loc => loc.id === originId);
-    const destinationLocation = markedLocations.find(loc => loc.id === destinationId);
+    const timeout = setTimeout(() => {
+      cacheMapData(mapHash, markedLocations, grid).catch(error => {
+        console.warn('Map not stored:', error);
+      });
+    }, MAP_SAVE_DELAY);
+    return () => clearTimeout(timeout);
+  }, [mapHash, markedLocations, grid]);
+
+  // Locations and connectors the model declares replace the ones taken from it before, and a
+  // model that marks walkable surfaces gets a grid generated when its map has none
+  const applyModelConventions = useCallback(() => {
+    if (!modelConventions) return;
+
+    let nextGrid = grid;
+    if (!nextGrid && modelConventions.walkable.length > 0) {
+      const generatedGrid = generateGrid();
+      nextGrid = generatedGrid && assignGridFloorIds(generatedGrid, buildingFloors);
+    }
+    const warnings = [...modelConventions.warnings];
+    if (nextGrid) {
+      const { grid: connectedGrid, skipped } = applyModelConnectors(nextGrid, modelConventions.connectors);
+      nextGrid = connectedGrid;
+      skipped.forEach(name => warnings.push(`${name} doesn't span two grid floors, so it connects nothing`));
+      setGrid(nextGrid);
+    } else if (modelConventions.connectors.length > 0) {
+      warnings.push('Connectors from the model need a grid; generate one and apply the model again');
+    }
+    setModelConventionWarnings(warnings);
+
+    setLocations([
+      ...markedLocations.filter(location => !isModelDerivedId(location.id)),
+      ...createModelLocations(modelConventions.pois, nextGrid, buildingFloors)
+    ]);
+  }, [modelConventions, grid, markedLocations, buildingFloors, generateGrid, setGrid, setLocations]);
+
+  // Once per restore; the map is ready for routing in the render after this
+  useEffect(() => {
+    if (mapRevision === appliedMapRevision) return;
+    setAppliedMapRevision(mapRevision);
+    applyModelConventions();
+  }, [mapRevision, appliedMapRevision, applyModelConventions]);
+
+  // Route between two marked locations under a Pathfinder.ROUTE_PROFILES cost model as { points, cells, transitions, originId, destinationId },
+  // or null when either location is unknown or the grid has no walkable route between them
+  const planRoute = useCallback((originId, destinationId, routeProfile) => {
+    const originLocation = routableLocations.find(loc => loc.id === originId);
+    const destinationLocation = routableLocations.find(loc => loc.id === destinationId);
 
     if (!originLocation || !destinationLocation) {
+      return null;
+    }
+
+    if (grid) {
+      const route = findRoute(grid, originLocation, destinationLocation, routeProfile, { smooth: smoothPaths });
+      return route ? { ...route, originId, destinationId } : null;
+    }
+
+    // Without a grid there is nothing to route around, so fall back to a direct line
+    return {
+      points: [
+        new THREE.Vector3(
+          originLocation.coordinates.x,
+          originLocation.coordinates.y,
+          originLocation.coordinates.z
+        ),
+        new THREE.Vector3(
+          destinationLocation.coordinates.x,
+          destinationLocation.coordinates.y,
+          destinationLocation.coordinates.z
+        )
+      ],
+      cells: [],
+      transitions: [],
+      originId,
+      destinationId
+    };
+  }, [grid, routableLocations, smoothPaths]);
+
+  // Navigation handlers
+  const handleStartNavigation = useCallback((originId, destinationId, routeProfile) => {
+    const route = planRoute(originId, destinationId, routeProfile);
+    if (!route) {
+      handleError('No walkable route between the selected locations.');
       return;
     }
 
-    // Create a simple path between the two locations using Three.js Vector3 objects
-    const path = [
-      new THREE.Vector3(
-        originLocation.coordinates.x,
-        originLocation.coordinates.y,
-        originLocation.coordinates.z
-      ),
-      new THREE.Vector3(
-        destinationLocation.coordinates.x,
-        destinationLocation.coordinates.y,
-        destinationLocation.coordinates.z
-      )
-    ];
+    const path = route.points;
+    // The walker's camera takes over from exploring on foot
+    setWalkMode(false);
 
     // Set the walking path
-    setWalkingPath(path);
+    setWalkingPath(path, route.transitions, route.cells.map(cell => cell.floor));
+    followHeight(path[0].y);
     setNavigationPath(path);
+    setNavigationRoute(route);
     setIsNavigating(true);
-    setTotalNavigationSteps(path.length);
+    setTotalNavigationSteps(path.length - 1);
     setCurrentNavigationStep(0);
     setNavigationProgress(0);
+    setWalkerProgress(null);
 
     // Start walking animation
     startOrResumeWalking();
-  };
+  }, [planRoute, handleError, setWalkMode, setWalkingPath, followHeight, startOrResumeWalking]);
 
-  const handleStopNavigation = () => {
+  const handleStopNavigation = useCallback(() => {
     setIsNavigating(false);
+    setNavigationRoute(null);
     stopWalking();
+  }, [stopWalking]);
+
+  const applyView = useCallback((view) => {
+    camera.position.set(view.position.x, view.position.y, view.position.z);
+    controls.target.set(view.target.x, view.target.y, view.target.z);
+    controls.update();
+  }, [camera, controls]);
+
+  // A linked floor and camera pose apply once the building has loaded and framed itself
+  const pendingLinkViewRef = useRef({ floor: initialLink.floor, view: initialLink.view });
+  useEffect(() => {
+    if (buildingFloors.length === 0) return;
+
+    const { floor, view } = pendingLinkViewRef.current;
+    pendingLinkViewRef.current = {};
+    if (floor && buildingFloors.some(buildingFloor => buildingFloor.id === floor)) {
+      selectFloor(floor, { frame: !view });
+    }
+    if (view) {
+      applyView(view);
+    }
+  }, [buildingFloors, selectFloor, applyView]);
+
+  // A link naming both ends previews its route as soon as the locations and grid are in,
+  // including those the model itself declares
+  const pendingLinkRouteRef = useRef(Boolean(initialLink.from && initialLink.to));
+  const isMapReady = appliedMapRevision > 0 && appliedMapRevision === mapRevision;
+  useEffect(() => {
+    if (!pendingLinkRouteRef.current || !isMapReady || !scene) return;
+
+    pendingLinkRouteRef.current = false;
+    if (originId && destinationId && originId !== destinationId) {
+      handleStartNavigation(originId, destinationId, ROUTE_PROFILES[routeProfileId]);
+    }
+  }, [isMapReady, scene, originId, destinationId, routeProfileId, handleStartNavigation]);
+
+  // Back and forward restore the route choices recorded in the link
+  const handleLinkNavigate = useCallback((link) => {
+    handleStopNavigation();
+    if (!isKiosk) {
+      setOriginId(link.from || '');
+    }
+    setDestinationId(link.to || '');
+    setRouteProfileId(link.profile || DEFAULT_ROUTE_PROFILE);
+    if (link.floor) {
+      selectFloor(link.floor, { frame: !link.view });
+    }
+    if (link.view) {
+      applyView(link.view);
+    }
+  }, [isKiosk, handleStopNavigation, selectFloor, applyView]);
+
+  // Dropped pins aren't saved anywhere, so a link can't point at them
+  const linkableId = (id) => (id && !droppedPins.some(pin => pin.id === id) ? id : null);
+  useDeepLink({
+    from: linkableId(originId),
+    to: linkableId(destinationId),
+    profile: routeProfileId !== DEFAULT_ROUTE_PROFILE ? routeProfileId : null,
+    floor: activeFloorId
+  }, camera, controls, handleLinkNavigate);
+
+  // Names for each grid floor, taken from the building floor it is tied to
+  const gridFloorNames = useMemo(() => (grid
+    ? grid.floors.map((height, index) => {
+        const buildingFloor = buildingFloors.find(floor => floor.id === grid.floorIds[index]);
+        return buildingFloor ? buildingFloor.name : `floor ${index}`;
+      })
+    : []), [grid, buildingFloors]);
+
+  // Ribbon, pins and floor badges for the route being walked
+  const routeOrigin = navigationRoute && routableLocations.find(loc => loc.id === navigationRoute.originId);
+  const routeDestination = navigationRoute && routableLocations.find(loc => loc.id === navigationRoute.destinationId);
+  useRouteLayer(
+    scene,
+    navigationRoute,
+    walkerProgress?.distanceTravelled,
+    routeOrigin?.name,
+    routeDestination?.name,
+    gridFloorNames
+  );
+
+  // Icons and labels for the locations on the floor being looked at
+  const isLocationOnShownFloor = useCallback((location) => {
+    if (buildingFloors.length < 2 || !activeFloorId) return true;
+    return findBuildingFloorForHeight(buildingFloors, location.coordinates.y)?.id === activeFloorId;
+  }, [buildingFloors, activeFloorId]);
+  usePoiLayer(scene, camera, renderer, currentModel, markedLocations, originId, destinationId, isLocationOnShownFloor);
+
+  // Click a marker or the floor in the 3D view to route from or to it
+  const {
+    popup: pickPopup,
+    hover: hoveredLocation,
+    closePopup: closePickPopup
+  } = useScenePicking(scene, addPointerListener, currentModel, grid, markedLocations, !isAdminMode && !isWalkMode);
+
+  const handlePickRole = (role) => {
+    if (!pickPopup) return;
+
+    let locationId;
+    if (pickPopup.location) {
+      locationId = pickPopup.location.id;
+    } else {
+      const { floor, coordinates, gridPosition } = pickPopup.point;
+      const pin = {
+        id: `dropped_${Date.now()}`,
+        name: floor !== null && gridFloorNames[floor] ? `Dropped pin on ${gridFloorNames[floor]}` : 'Dropped pin',
+        description: '',
+        category: null,
+        tags: [],
+        aliases: [],
+        floorId: floor !== null ? grid.floorIds[floor] ?? null : null,
+        coordinates: { x: coordinates.x, y: coordinates.y, z: coordinates.z },
+        // null without a grid; routes then run straight between the coordinates
+        gridPosition
+      };
+      // Keep only the pin the other end of the route still uses
+      const otherId = role === 'origin' ? destinationId : originId;
+      setDroppedPins(pins => [...pins.filter(existing => existing.id === otherId), pin]);
+      locationId = pin.id;
+    }
+
+    if (role === 'origin') {
+      setOriginId(locationId);
+    } else {
+      setDestinationId(locationId);
+    }
+    closePickPopup();
+  };
+
+  // Left alone, a kiosk forgets the visit and goes back to its welcome screen
+  const handleKioskIdle = () => {
+    handleStopNavigation();
+    setWalkMode(false);
+    closePickPopup();
+    setOriginId(initialLink.from);
+    setDestinationId('');
+    setRouteProfileId(DEFAULT_ROUTE_PROFILE);
+    setDroppedPins([]);
+    setIsAttractShown(true);
+  };
+  useInactivity(isKiosk && !isAttractShown, KIOSK_IDLE_TIMEOUT, handleKioskIdle);
+
+  // Authoring handlers
+  const handleToggleAdminMode = () => {
+    if (isNavigating) {
+      handleStopNavigation();
+    }
+    setIsAdminMode(!isAdminMode);
+  };
+
+  const handleToggleMesh = (item) => {
+    const checked = !selectedMeshIds.includes(item.id);
+    // Same flag useModelLoader.updateSelectedObjects looks for
+    item.object.userData.gridCheckbox = { checked };
+    setSelectedMeshIds(checked
+      ? [...selectedMeshIds, item.id]
+      : selectedMeshIds.filter(id => id !== item.id));
+  };
+
+  const handleGenerateGrid = (options) => {
+    const generatedGrid = generateGrid(options);
+    if (generatedGrid) {
+      const { grid: connectedGrid } = applyModelConnectors(
+        assignGridFloorIds(generatedGrid, buildingFloors),
+        modelConventions?.connectors || []
+      );
+      setGrid(connectedGrid);
+      setAuthoringFloor(0);
+    }
+  };
+
+  const handleCreateBlankGrid = ({ size, cellSize }) => {
+    // One grid floor per building floor, at the base of each floor model
+    const floors = buildingFloors.length > 0 ? buildingFloors.map(floor => floor.minY) : [0];
+    setGrid(assignGridFloorIds(createSquareGrid({ size, cellSize, floors }), buildingFloors));
+    setAuthoringFloor(0);
+  };
+
+  const handleLoadModelFiles = async (files) => {
+    try {
+      const { manifest, resolveModelUrl, dispose } = await createManifestFromFiles(files);
+      try {
+        await openBuilding(manifest, resolveModelUrl, null);
+      } finally {
+        dispose();
+      }
+    } catch (error) {
+      console.error('Error loading building:', error);
+      handleError(error);
+    }
+  };
+
+  const handleLoadDemoBuilding = async () => {
+    try {
+      const { manifest, resolveModelUrl } = await fetchBuildingManifest(DEFAULT_BUILDING_URL);
+      await openBuilding(manifest, resolveModelUrl, { manifestUrl: DEFAULT_BUILDING_URL });
+    } catch (error) {
+      console.error('Error loading building:', error);
+      handleError(error);
+    }
+  };
+
+  // A venue package replaces the building, locations and grid in one go
+  const handleImportVenuePackage = async (file) => {
+    try {
+      const venue = await readVenuePackageFile(file);
+      try {
+        if (await openBuilding(venue.manifest, venue.resolveModelUrl, null)) {
+          setLocations(venue.locations);
+          setGrid(venue.grid);
+          handleStatusChange(`Opened venue ${venue.manifest.name}.`);
+        }
+      } finally {
+        venue.dispose();
+      }
+    } catch (error) {
+      console.error('Error opening venue package:', error);
+      handleError(error);
+    }
+  };
+
+  // The models are read back from storage, since picked files are released once loaded
+  const handleExportVenuePackage = async () => {
+    try {
+      const stored = await readCachedBuilding();
+      if (!stored || stored.hash !== mapHash) {
+        handleError('The current building is not stored, so it cannot be packaged.');
+        return;
+      }
+      try {
+        const blob = await createVenuePackage(stored.manifest, stored.resolveModelUrl, markedLocations, grid);
+        downloadBlob(blob, `venue-${new Date().toISOString().slice(0, 10)}.zip`);
+      } finally {
+        stored.dispose();
+      }
+    } catch (error) {
+      console.error('Error exporting venue package:', error);
+      handleError(error);
+    }
+  };
+
+  // useFloorView applies the hidden floors on top of the current floor view
+  const handleToggleFloorVisibility = (floorId) => {
+    const hidden = !hiddenFloorIds.includes(floorId);
+    setHiddenFloorIds(hidden
+      ? [...hiddenFloorIds, floorId]
+      : hiddenFloorIds.filter(id => id !== floorId));
+  };
+
+  const handleWalkerStyleChange = (style) => {
+    if (style === WALKER_STYLES.AVATAR && !hasAvatar) return;
+    setWalkerStyle(style);
+    setWalkerStyleState(style);
+  };
+
+  const handleLoadAvatar = async (file) => {
+    if (await loadAvatar(file)) {
+      setHasAvatar(true);
+      setWalkerStyleState(WALKER_STYLES.AVATAR);
+    }
+  };
+
+  const handleCreateLocation = (details) => {
+    const location = createLocationAtPendingCell(details);
+    if (location) {
+      setLocations([...markedLocations, location]);
+    }
+  };
+
+  const handleDeleteLocation = (locationId) => {
+    setLocations(markedLocations.filter(location => location.id !== locationId));
+  };
+
+  const handleExportLocations = () => {
+    downloadJson(serializeLocationData(markedLocations), 'locations.json');
+  };
+
+  const handleExportGrid = () => {
+    if (grid) {
+      downloadJson(serializeGridData(grid), 'grid.json');
+    }
   };
 
   return (
     <div className="app">
       <div className="navigation-layout">
-        <NavigationInterface
-          markedLocations={markedLocations}
-          onStartNavigation={handleStartNavigation}
-          onStopNavigation={handleStopNavigation}
-          isNavigating={isNavigating}
-          navigationProgress={navigationProgress}
-          currentStep={currentNavigationStep}
-          totalSteps={totalNavigationSteps}
-        />
-        <div className="viewer-container" ref={containerRef}></div>
+        <div className="sidebar">
+          {!isKiosk && (
+            <div className="mode-switch">
+              <button
+                className={!isAdminMode ? 'active' : ''}
+                onClick={() => isAdminMode && handleToggleAdminMode()}
+              >
+                Navigate
+              </button>
+              <button
+                className={isAdminMode ? 'active' : ''}
+                onClick={() => !isAdminMode && handleToggleAdminMode()}
+              >
+                Author
+              </button>
+            </div>
+          )}
+          {status && (
+            <StatusMessage
+              message={status.message}
+              errors={status.errors}
+              isError={status.isError}
+              onClose={() => setStatus(null)}
+            />
+          )}
+          {isAdminMode ? (
+            <AdminPanel
+              buildingFloors={buildingFloors}
+              hiddenFloorIds={hiddenFloorIds}
+              onToggleFloorVisibility={handleToggleFloorVisibility}
+              onLoadModelFiles={handleLoadModelFiles}
+              onLoadDemoBuilding={handleLoadDemoBuilding}
+              onImportVenuePackage={handleImportVenuePackage}
+              modelConventions={modelConventions}
+              modelConventionWarnings={modelConventionWarnings}
+              onApplyModelConventions={applyModelConventions}
+              walkerStyle={walkerStyle}
+              hasAvatar={hasAvatar}
+              onWalkerStyleChange={handleWalkerStyleChange}
+              onLoadAvatar={handleLoadAvatar}
+              grid={grid}
+              meshItems={hierarchyItems.filter(item => item.isMesh)}
+              selectedMeshIds={selectedMeshIds}
+              onToggleMesh={handleToggleMesh}
+              onGenerateGrid={handleGenerateGrid}
+              onCreateBlankGrid={handleCreateBlankGrid}
+              onImportGrid={loadGridFromFile}
+              mode={authoringMode}
+              onModeChange={setAuthoringMode}
+              activeFloor={authoringFloor}
+              onFloorChange={setAuthoringFloor}
+              pendingCell={pendingCell}
+              onCreateLocation={handleCreateLocation}
+              onCancelLocation={clearPendingCell}
+              connectorStart={connectorStart}
+              pendingConnector={pendingConnector}
+              onCreateConnector={createPendingConnector}
+              onCancelConnector={clearPendingConnector}
+              onDeleteConnector={deleteConnector}
+              locations={markedLocations}
+              onDeleteLocation={handleDeleteLocation}
+              onExportLocations={handleExportLocations}
+              onExportGrid={handleExportGrid}
+              onExportVenuePackage={mapHash ? handleExportVenuePackage : undefined}
+              onShowQrSigns={setQrSignLocations}
+            />
+          ) : (
+            <NavigationInterface
+              markedLocations={routableLocations}
+              origin={originId}
+              destination={destinationId}
+              onOriginChange={setOriginId}
+              onDestinationChange={setDestinationId}
+              isOriginLocked={isKiosk}
+              locationDataError={locationDataError}
+              onImportLocations={isKiosk ? undefined : loadLocationsFromFile}
+              route={navigationRoute}
+              onPlanRoute={planRoute}
+              routeProfileId={routeProfileId}
+              onRouteProfileChange={setRouteProfileId}
+              smoothPaths={smoothPaths}
+              onSmoothPathsChange={setSmoothPaths}
+              floorNames={gridFloorNames}
+              buildingFloors={buildingFloors}
+              cameraMode={cameraMode}
+              onCameraModeChange={setCameraModeState}
+              topDownOrientation={topDownOrientation}
+              onTopDownOrientationChange={setTopDownOrientationState}
+              onStartNavigation={handleStartNavigation}
+              onStopNavigation={handleStopNavigation}
+              isNavigating={isNavigating}
+              navigationProgress={navigationProgress}
+              walkerProgress={walkerProgress}
+              currentStep={currentNavigationStep}
+              totalSteps={totalNavigationSteps}
+            />
+          )}
+        </div>
+        <div className="viewer-area">
+          <div className="viewer-container" ref={containerRef}></div>
+          <FloorSwitcher
+            floors={buildingFloors}
+            activeFloorId={activeFloorId}
+            onSelectFloor={selectFloor}
+            mode={floorViewMode}
+            onModeChange={setFloorViewMode}
+            isFollowingWalker={isNavigating}
+          />
+          <Minimap
+            model={currentModel}
+            floor={buildingFloors.find(floor => floor.id === activeFloorId) || null}
+            getFloorObject={getFloorObject}
+            locations={markedLocations}
+            route={navigationRoute}
+            walkerProgress={isNavigating ? walkerProgress : null}
+            mainCamera={camera}
+            controls={controls}
+            originId={originId}
+            destinationId={destinationId}
+            onPickOrigin={isKiosk ? undefined : setOriginId}
+            onPickDestination={setDestinationId}
+          />
+          {pickPopup && (
+            <PickPopup
+              x={pickPopup.x}
+              y={pickPopup.y}
+              title={pickPopup.location ? pickPopup.location.name : 'This spot'}
+              subtitle={pickPopup.location
+                ? pickPopup.location.description
+                : grid ? 'Snapped to the nearest walkable point' : ''}
+              onPickOrigin={isKiosk ? undefined : () => handlePickRole('origin')}
+              onPickDestination={() => handlePickRole('destination')}
+              onClose={closePickPopup}
+            />
+          )}
+          {hoveredLocation && !pickPopup && (
+            <LocationTooltip x={hoveredLocation.x} y={hoveredLocation.y} location={hoveredLocation.location} />
+          )}
+          {currentModel && !isNavigating && (
+            <div className="walk-mode">
+              <button
+                className={`walk-mode-toggle ${isWalkMode ? 'active' : ''}`}
+                onClick={() => setWalkMode(!isWalkMode)}
+              >
+                {isWalkMode ? '✋ Stop exploring' : '🚶 Explore on foot'}
+              </button>
+              {isWalkMode && (
+                <div className="walk-mode-hint">
+                  {isPointerLocked
+                    ? 'WASD to walk · Shift to sprint · C to crouch · Esc to free the mouse'
+                    : 'Click the view to look around with the mouse'}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
       </div>
+      {qrSignLocations && (
+        <QrSignSheet locations={qrSignLocations} onClose={() => setQrSignLocations(null)} />
+      )}
+      {isKiosk && isAttractShown && (
+        <KioskAttract
+          location={markedLocations.find(location => location.id === initialLink.from)}
+          onStart={() => setIsAttractShown(false)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,597 @@
+import { useState, useRef } from 'react';
+import { AUTHORING_MODES } from '../hooks/useGridAuthoring';
+import { CONNECTOR_TYPES, DEFAULT_CONNECTOR_COSTS } from '../utils/gridData';
+import { WALKER_STYLES } from '../utils/WalkingObject';
+import { LOCATION_CATEGORIES, getLocationIcon } from '../utils/locationData';
+import './AdminPanel.css';
+
+const MODE_BUTTONS = [
+  { mode: AUTHORING_MODES.WALKABLE, label: 'Mark Walkable', icon: '🟩' },
+  { mode: AUTHORING_MODES.BLOCKED, label: 'Mark Blocked', icon: '🟥' },
+  { mode: AUTHORING_MODES.STEPS, label: 'Mark Steps', icon: '🟧' },
+  { mode: AUTHORING_MODES.LOCATION, label: 'Place Location', icon: '📍' },
+  { mode: AUTHORING_MODES.CONNECTOR, label: 'Link Floors', icon: '🪜' }
+];
+
+// "a, b ,c" -> ['a', 'b', 'c']
+const splitList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+const WALKER_STYLE_OPTIONS = [
+  { style: WALKER_STYLES.FIGURE, label: 'Figure' },
+  { style: WALKER_STYLES.AVATAR, label: 'Avatar' },
+  { style: WALKER_STYLES.ARROW, label: 'Arrow' },
+  { style: WALKER_STYLES.PIN, label: 'Pin' },
+  { style: WALKER_STYLES.DOT, label: 'Pulsing dot' }
+];
+
+const CONNECTOR_ICONS = {
+  [CONNECTOR_TYPES.STAIRS]: '🪜',
+  [CONNECTOR_TYPES.LIFT]: '🛗',
+  [CONNECTOR_TYPES.ESCALATOR]: '↗️'
+};
+
+const AdminPanel = ({
+  buildingFloors = [],
+  hiddenFloorIds = [],
+  onToggleFloorVisibility,
+  onLoadModelFiles,
+  onLoadDemoBuilding,
+  onImportVenuePackage,
+  modelConventions,
+  modelConventionWarnings,
+  onApplyModelConventions,
+  walkerStyle = WALKER_STYLES.FIGURE,
+  hasAvatar = false,
+  onWalkerStyleChange,
+  onLoadAvatar,
+  grid = null,
+  meshItems = [],
+  selectedMeshIds = [],
+  onToggleMesh,
+  onGenerateGrid,
+  onCreateBlankGrid,
+  onImportGrid,
+  mode = null,
+  onModeChange,
+  activeFloor = 0,
+  onFloorChange,
+  pendingCell = null,
+  onCreateLocation,
+  onCancelLocation,
+  connectorStart = null,
+  pendingConnector = null,
+  onCreateConnector,
+  onCancelConnector,
+  onDeleteConnector,
+  locations = [],
+  onDeleteLocation,
+  onExportLocations,
+  onExportGrid,
+  onExportVenuePackage,
+  onShowQrSigns
+}) => {
+  const [cellSize, setCellSize] = useState(1);
+  const [blankGridSize, setBlankGridSize] = useState(20);
+  const [locationName, setLocationName] = useState('');
+  const [locationDescription, setLocationDescription] = useState('');
+  const [locationCategory, setLocationCategory] = useState('');
+  const [locationTags, setLocationTags] = useState('');
+  const [locationAliases, setLocationAliases] = useState('');
+  const [connectorName, setConnectorName] = useState('');
+  const [connectorType, setConnectorType] = useState(CONNECTOR_TYPES.STAIRS);
+  const [connectorCost, setConnectorCost] = useState('');
+  const [connectorStepFree, setConnectorStepFree] = useState(null);
+  const [connectorWidth, setConnectorWidth] = useState('');
+  const gridFileInputRef = useRef();
+  const modelFileInputRef = useRef();
+  const venueFileInputRef = useRef();
+  const avatarFileInputRef = useRef();
+
+  const handleModelFileChange = (event) => {
+    if (event.target.files.length > 0) {
+      onLoadModelFiles(event.target.files);
+    }
+    event.target.value = '';
+  };
+
+  const handleVenueFileChange = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      onImportVenuePackage(file);
+    }
+    event.target.value = '';
+  };
+
+  const handleAvatarFileChange = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      onLoadAvatar(file);
+    }
+    event.target.value = '';
+  };
+
+  const handleGridFileChange = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      onImportGrid(file);
+    }
+    event.target.value = '';
+  };
+
+  const handleCreateLocation = (event) => {
+    event.preventDefault();
+    if (locationName.trim() === '') return;
+    onCreateLocation({
+      name: locationName,
+      description: locationDescription,
+      category: locationCategory || null,
+      tags: splitList(locationTags),
+      aliases: splitList(locationAliases)
+    });
+    setLocationName('');
+    setLocationDescription('');
+    setLocationCategory('');
+    setLocationTags('');
+    setLocationAliases('');
+  };
+
+  const handleCreateConnector = (event) => {
+    event.preventDefault();
+    const cost = parseFloat(connectorCost);
+    const width = parseFloat(connectorWidth);
+    onCreateConnector({
+      name: connectorName,
+      type: connectorType,
+      cost: Number.isFinite(cost) && cost > 0 ? cost : undefined,
+      stepFree: connectorStepFree ?? undefined,
+      width: Number.isFinite(width) && width > 0 ? width : undefined
+    });
+    setConnectorName('');
+    setConnectorCost('');
+    setConnectorStepFree(null);
+    setConnectorWidth('');
+  };
+
+  const floorLocations = grid
+    ? locations.filter(location =>
+        Math.abs(location.coordinates.y - grid.height - grid.floors[activeFloor]) < 0.5)
+    : locations;
+
+  return (
+    <div className="admin-panel">
+      <div className="admin-header">
+        <h1>🛠️ Map Authoring</h1>
+      </div>
+
+      {/* Building */}
+      <div className="admin-section">
+        <h3>Building</h3>
+        <div className="admin-row">
+          <button
+            className="admin-button"
+            onClick={() => modelFileInputRef.current?.click()}
+            title="Pick one GLB per floor, optionally with a building.json manifest"
+          >
+            Load Model(s)
+          </button>
+          <button className="admin-button secondary" onClick={onLoadDemoBuilding}>
+            Load Demo Building
+          </button>
+          <input
+            ref={modelFileInputRef}
+            type="file"
+            accept=".glb,.gltf,.json"
+            multiple
+            style={{ display: 'none' }}
+            onChange={handleModelFileChange}
+          />
+        </div>
+        <div className="admin-row">
+          <button
+            className="admin-button secondary"
+            onClick={() => venueFileInputRef.current?.click()}
+            title="Open a venue .zip with its models, locations and grid"
+          >
+            Open Venue Package
+          </button>
+          <input
+            ref={venueFileInputRef}
+            type="file"
+            accept=".zip,application/zip"
+            style={{ display: 'none' }}
+            onChange={handleVenueFileChange}
+          />
+        </div>
+        {modelConventions && (
+          <div className="model-conventions">
+            <div className="model-conventions-summary">
+              From the model: {[
+                [modelConventions.pois.length, 'location'],
+                [modelConventions.walkable.length, 'walkable area'],
+                [modelConventions.obstacles.length, 'obstacle'],
+                [modelConventions.connectors.length, 'connector']
+              ]
+                .filter(([count]) => count > 0)
+                .map(([count, noun]) => `${count} ${noun}${count === 1 ? '' : 's'}`)
+                .join(' · ')}
+            </div>
+            {modelConventionWarnings.map(warning => (
+              <div key={warning} className="model-conventions-warning">⚠️ {warning}</div>
+            ))}
+            <button
+              className="admin-button secondary"
+              onClick={onApplyModelConventions}
+              title="Replace the locations and connectors taken from the model with its current ones"
+            >
+              Apply Model Data Again
+            </button>
+          </div>
+        )}
+        {buildingFloors.length > 0 && (
+          <div className="building-floor-list">
+            {buildingFloors.map(floor => (
+              <label key={floor.id} className="mesh-item">
+                <input
+                  type="checkbox"
+                  checked={!hiddenFloorIds.includes(floor.id)}
+                  onChange={() => onToggleFloorVisibility(floor.id)}
+                />
+                {floor.name}
+                <span className="building-floor-elevation">{floor.minY.toFixed(2)}</span>
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Walker */}
+      <div className="admin-section">
+        <h3>Walker</h3>
+        <div className="admin-row">
+          <label>
+            Style
+            <select value={walkerStyle} onChange={(e) => onWalkerStyleChange(e.target.value)}>
+              {WALKER_STYLE_OPTIONS.map(({ style, label }) => (
+                <option key={style} value={style} disabled={style === WALKER_STYLES.AVATAR && !hasAvatar}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            className="admin-button secondary"
+            onClick={() => avatarFileInputRef.current?.click()}
+            title="A rigged character; clips named walk and idle are played while walking and waiting"
+          >
+            Load Avatar (.glb)
+          </button>
+          <input
+            ref={avatarFileInputRef}
+            type="file"
+            accept=".glb"
+            style={{ display: 'none' }}
+            onChange={handleAvatarFileChange}
+          />
+        </div>
+      </div>
+
+      {/* Grid Generation */}
+      <div className="admin-section">
+        <h3>Grid</h3>
+        {meshItems.length > 0 && (
+          <div className="mesh-list">
+            {meshItems.map(item => (
+              <label key={item.id} className="mesh-item" style={{ paddingLeft: `${item.depth * 8}px` }}>
+                <input
+                  type="checkbox"
+                  checked={selectedMeshIds.includes(item.id)}
+                  onChange={() => onToggleMesh(item)}
+                />
+                {item.name}
+              </label>
+            ))}
+          </div>
+        )}
+        <div className="admin-row">
+          <label>
+            Cell size
+            <input
+              type="number"
+              min="0.1"
+              max="10"
+              step="0.1"
+              value={cellSize}
+              onChange={(e) => setCellSize(parseFloat(e.target.value) || 1)}
+            />
+          </label>
+          <button
+            className="admin-button"
+            onClick={() => onGenerateGrid({ cellSize })}
+            disabled={selectedMeshIds.length === 0}
+          >
+            Create Grid on Selected Path
+          </button>
+        </div>
+        <div className="admin-row">
+          <label>
+            Size
+            <input
+              type="number"
+              min="1"
+              max="500"
+              step="1"
+              value={blankGridSize}
+              onChange={(e) => setBlankGridSize(parseInt(e.target.value, 10) || 1)}
+            />
+          </label>
+          <button
+            className="admin-button secondary"
+            onClick={() => onCreateBlankGrid({ size: blankGridSize, cellSize })}
+          >
+            Blank Grid
+          </button>
+          <button
+            className="admin-button secondary"
+            onClick={() => gridFileInputRef.current?.click()}
+          >
+            Import grid.json
+          </button>
+          <input
+            ref={gridFileInputRef}
+            type="file"
+            accept=".json,application/json"
+            style={{ display: 'none' }}
+            onChange={handleGridFileChange}
+          />
+        </div>
+        {grid && grid.floors.length > 1 && (
+          <div className="admin-row">
+            <label>
+              Floor
+              <select value={activeFloor} onChange={(e) => onFloorChange(parseInt(e.target.value, 10))}>
+                {grid.floors.map((height, index) => {
+                  const buildingFloor = buildingFloors.find(floor => floor.id === grid.floorIds[index]);
+                  return (
+                    <option key={index} value={index}>
+                      {buildingFloor ? buildingFloor.name : `Floor ${index}`} ({height.toFixed(2)})
+                    </option>
+                  );
+                })}
+              </select>
+            </label>
+          </div>
+        )}
+      </div>
+
+      {/* Click Modes */}
+      <div className="admin-section">
+        <h3>Edit</h3>
+        <div className="mode-buttons">
+          {MODE_BUTTONS.map(button => (
+            <button
+              key={button.mode}
+              className={`mode-button ${mode === button.mode ? 'active' : ''}`}
+              onClick={() => onModeChange(button.mode)}
+              disabled={!grid}
+            >
+              <span className="button-icon">{button.icon}</span>
+              {button.label}
+            </button>
+          ))}
+        </div>
+
+        {pendingCell && (
+          <form className="location-form" onSubmit={handleCreateLocation}>
+            <div className="location-form-cell">
+              Cell ({pendingCell.x}, {pendingCell.z}) on floor {pendingCell.floor}
+            </div>
+            <input
+              type="text"
+              placeholder="Location name"
+              value={locationName}
+              onChange={(e) => setLocationName(e.target.value)}
+              autoFocus
+            />
+            <textarea
+              placeholder="Description (optional)"
+              value={locationDescription}
+              onChange={(e) => setLocationDescription(e.target.value)}
+              rows={2}
+            />
+            <select value={locationCategory} onChange={(e) => setLocationCategory(e.target.value)}>
+              <option value="">No category</option>
+              {Object.entries(LOCATION_CATEGORIES).map(([category, { label, icon }]) => (
+                <option key={category} value={category}>{icon} {label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Tags, comma separated (optional)"
+              value={locationTags}
+              onChange={(e) => setLocationTags(e.target.value)}
+            />
+            <input
+              type="text"
+              placeholder="Also known as, comma separated (optional)"
+              value={locationAliases}
+              onChange={(e) => setLocationAliases(e.target.value)}
+            />
+            <div className="admin-row">
+              <button type="submit" className="admin-button" disabled={locationName.trim() === ''}>
+                Add Location
+              </button>
+              <button type="button" className="admin-button secondary" onClick={onCancelLocation}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {connectorStart && (
+          <div className="location-form-cell connector-hint">
+            Start: cell ({connectorStart.x}, {connectorStart.z}) on floor {connectorStart.floor}.
+            Select the other floor and click the connected cell.
+          </div>
+        )}
+
+        {pendingConnector && (
+          <form className="location-form" onSubmit={handleCreateConnector}>
+            <div className="location-form-cell">
+              Floor {pendingConnector.from.floor} ({pendingConnector.from.x}, {pendingConnector.from.z})
+              {' ↔ '}
+              Floor {pendingConnector.to.floor} ({pendingConnector.to.x}, {pendingConnector.to.z})
+            </div>
+            <input
+              type="text"
+              placeholder="Name, e.g. Main stairs"
+              value={connectorName}
+              onChange={(e) => setConnectorName(e.target.value)}
+              autoFocus
+            />
+            <div className="admin-row">
+              <label>
+                Type
+                <select value={connectorType} onChange={(e) => setConnectorType(e.target.value)}>
+                  {Object.values(CONNECTOR_TYPES).map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Cost (m)
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  placeholder={String(DEFAULT_CONNECTOR_COSTS[connectorType])}
+                  value={connectorCost}
+                  onChange={(e) => setConnectorCost(e.target.value)}
+                />
+              </label>
+            </div>
+            <div className="admin-row">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={connectorStepFree ?? connectorType === CONNECTOR_TYPES.LIFT}
+                  onChange={(e) => setConnectorStepFree(e.target.checked)}
+                />
+                Step-free
+              </label>
+              <label>
+                Width (m)
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  placeholder="any"
+                  value={connectorWidth}
+                  onChange={(e) => setConnectorWidth(e.target.value)}
+                />
+              </label>
+            </div>
+            <div className="admin-row">
+              <button type="submit" className="admin-button">
+                Add Connector
+              </button>
+              <button type="button" className="admin-button secondary" onClick={onCancelConnector}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+
+      {/* Connectors */}
+      {grid && grid.connectors.length > 0 && (
+        <div className="admin-section">
+          <h3>Connectors ({grid.connectors.length})</h3>
+          <div className="admin-location-list">
+            {grid.connectors.map(connector => (
+              <div key={connector.id} className="admin-location-item">
+                <div className="location-info">
+                  <div className="location-name">
+                    {CONNECTOR_ICONS[connector.type]} {connector.name || connector.type}
+                  </div>
+                  <div className="location-description">
+                    Floor {connector.from.floor} ↔ Floor {connector.to.floor} · cost {connector.cost}
+                    {connector.stepFree && ' · step-free'}
+                    {connector.width !== null && ` · ${connector.width} m wide`}
+                  </div>
+                </div>
+                <button
+                  className="clear-button"
+                  onClick={() => onDeleteConnector(connector.id)}
+                  title="Delete connector"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Locations */}
+      <div className="admin-section admin-locations">
+        <h3>Locations ({floorLocations.length})</h3>
+        <div className="admin-location-list">
+          {floorLocations.map(location => (
+            <div key={location.id} className="admin-location-item">
+              <div className="location-info">
+                <div className="location-name">{getLocationIcon(location)} {location.name}</div>
+                {location.description && (
+                  <div className="location-description">{location.description}</div>
+                )}
+              </div>
+              <button
+                className="clear-button"
+                onClick={() => onShowQrSigns([location])}
+                title="QR code sign"
+              >
+                ▦
+              </button>
+              <button
+                className="clear-button"
+                onClick={() => onDeleteLocation(location.id)}
+                title="Delete location"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Export */}
+      <div className="admin-section">
+        <h3>Export</h3>
+        <div className="admin-row">
+          <button className="admin-button" onClick={onExportLocations} disabled={locations.length === 0}>
+            locations.json
+          </button>
+          <button className="admin-button" onClick={onExportGrid} disabled={!grid}>
+            grid.json
+          </button>
+        </div>
+        <div className="admin-row">
+          <button
+            className="admin-button"
+            onClick={onExportVenuePackage}
+            disabled={!onExportVenuePackage}
+            title={onExportVenuePackage
+              ? 'Models, locations and grid in one .zip'
+              : 'Packaging needs the building to be stored in this browser'}
+          >
+            venue.zip
+          </button>
+          <button className="admin-button" onClick={() => onShowQrSigns(locations)} disabled={locations.length === 0}>
+            QR signs
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminPanel;
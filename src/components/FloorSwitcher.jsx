@@ -0,0 +1,57 @@
+import { FLOOR_VIEW_MODES } from '../hooks/useFloorView';
+import './FloorSwitcher.css';
+
+const VIEW_MODE_BUTTONS = [
+  { mode: FLOOR_VIEW_MODES.ALL, label: 'All', title: 'Show every floor' },
+  { mode: FLOOR_VIEW_MODES.ISOLATE, label: 'Isolate', title: 'Show only the active floor' },
+  { mode: FLOOR_VIEW_MODES.GHOST, label: 'Ghost', title: 'Make the other floors see-through' },
+  { mode: FLOOR_VIEW_MODES.EXPLODE, label: 'Explode', title: 'Spread the floors apart vertically' }
+];
+
+const FloorSwitcher = ({
+  floors = [],
+  activeFloorId = null,
+  onSelectFloor,
+  mode = FLOOR_VIEW_MODES.ALL,
+  onModeChange,
+  isFollowingWalker = false
+}) => {
+  if (floors.length < 2) return null;
+
+  // Highest floor at the top, like a lift panel
+  const orderedFloors = [...floors].sort((a, b) => b.minY - a.minY);
+
+  return (
+    <div className="floor-switcher">
+      <div className="floor-view-modes">
+        {VIEW_MODE_BUTTONS.map(button => (
+          <button
+            key={button.mode}
+            className={mode === button.mode ? 'active' : ''}
+            onClick={() => onModeChange(button.mode)}
+            title={button.title}
+          >
+            {button.label}
+          </button>
+        ))}
+      </div>
+      <div className="floor-buttons">
+        {orderedFloors.map(floor => (
+          <button
+            key={floor.id}
+            className={`floor-button ${floor.id === activeFloorId ? 'active' : ''}`}
+            onClick={() => onSelectFloor(floor.id)}
+            title={floor.name}
+          >
+            {floor.name}
+          </button>
+        ))}
+      </div>
+      {isFollowingWalker && (
+        <div className="floor-follow-hint">Following walker</div>
+      )}
+    </div>
+  );
+};
+
+export default FloorSwitcher;
@@ -0,0 +1,17 @@
+import { getLocationIcon } from '../utils/locationData';
+import './KioskAttract.css';
+
+// Welcome screen a kiosk shows while nobody is using it; any touch starts a visit
+const KioskAttract = ({ location, onStart }) => (
+  <div className="kiosk-attract" onPointerDown={onStart}>
+    <div className="kiosk-attract-content">
+      <div className="kiosk-attract-heading">You are here</div>
+      <div className="kiosk-attract-location">
+        {location ? `${getLocationIcon(location)} ${location.name}` : '📍'}
+      </div>
+      <div className="kiosk-attract-prompt">Touch anywhere to find your way</div>
+    </div>
+  </div>
+);
+
+export default KioskAttract;
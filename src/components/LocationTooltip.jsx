@@ -0,0 +1,13 @@
+import './LocationTooltip.css';
+
+// Name and description of the location under the pointer in the 3D view
+const LocationTooltip = ({ x, y, location }) => (
+  <div className="location-tooltip" style={{ left: x, top: y }}>
+    <div className="location-tooltip-name">{location.name}</div>
+    {location.description && (
+      <div className="location-tooltip-description">{location.description}</div>
+    )}
+  </div>
+);
+
+export default LocationTooltip;
@@ -0,0 +1,361 @@
+import { useState, useRef, useEffect } from 'react';
+import * as THREE from 'three';
+import './Minimap.css';
+
+const SIZE = 200; // CSS pixels
+const FRAME_INTERVAL = 1 / 15; // seconds; the plan doesn't need the main view's frame rate
+const PLAN_LAYER = 1; // only the building is drawn into the plan
+const CUT_HEIGHT = 1.5; // like an architect's plan, walls are cut this far above the floor
+const FRUSTUM_REACH = 60; // how far the view footprint is drawn towards the horizon
+const PICK_RADIUS = 14; // CSS pixels
+
+const PICK_MODES = {
+  CAMERA: 'camera',
+  ORIGIN: 'origin',
+  DESTINATION: 'destination'
+};
+
+// Unlit plan shading: floors light, anything higher darker, and the insides of walls
+// opened up by the cut drawn solid like an architectural poché
+const createPlanMaterial = () => new THREE.ShaderMaterial({
+  uniforms: {
+    floorY: { value: 0 },
+    cutHeight: { value: CUT_HEIGHT }
+  },
+  vertexShader: `
+    varying float vHeight;
+    void main() {
+      vec4 world = modelMatrix * vec4(position, 1.0);
+      vHeight = world.y;
+      gl_Position = projectionMatrix * viewMatrix * world;
+    }
+  `,
+  fragmentShader: `
+    uniform float floorY;
+    uniform float cutHeight;
+    varying float vHeight;
+    void main() {
+      float t = clamp((vHeight - floorY) / cutHeight, 0.0, 1.0);
+      vec3 color = mix(vec3(0.96, 0.965, 0.97), vec3(0.55, 0.58, 0.63), t);
+      gl_FragColor = vec4(gl_FrontFacing ? color : vec3(0.22, 0.25, 0.3), 1.0);
+    }
+  `,
+  side: THREE.DoubleSide
+});
+
+// Where the main camera's view meets the floor, as world points
+const viewFootprint = (camera, floorY) => {
+  const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+  return corners.map(([x, y]) => {
+    const ray = new THREE.Vector3(x, y, 0.5).unproject(camera).sub(camera.position).normalize();
+    const t = ray.y < -1e-3 ? (floorY - camera.position.y) / ray.y : Infinity;
+    if (t > 0 && t <= FRUSTUM_REACH) {
+      return camera.position.clone().addScaledVector(ray, t);
+    }
+    // Above the horizon, or too far off to matter: draw it out to the reach
+    const flat = ray.setY(0);
+    if (flat.lengthSq() < 1e-8) return camera.position.clone();
+    return camera.position.clone().addScaledVector(flat.normalize(), FRUSTUM_REACH);
+  });
+};
+
+// A plan view of the active floor rendered with its own orthographic camera, north at the
+// top. Locations, the route, the walker and what the main camera sees are drawn over it.
+// Clicking recentres the main camera, or picks an origin or destination.
+const Minimap = ({
+  model = null,
+  floor = null,
+  getFloorObject,
+  locations = [],
+  route = null,
+  walkerProgress = null,
+  mainCamera = null,
+  controls = null,
+  originId = '',
+  destinationId = '',
+  onPickOrigin,
+  onPickDestination
+}) => {
+  const [collapsed, setCollapsed] = useState(false);
+  const [pickMode, setPickMode] = useState(PICK_MODES.CAMERA);
+  const glCanvasRef = useRef();
+  const overlayCanvasRef = useRef();
+  const viewRef = useRef(null); // { center, halfSize, floorY }
+  const propsRef = useRef();
+
+  propsRef.current = { locations, route, walkerProgress, mainCamera, originId, destinationId };
+
+  // The building is drawn on the plan layer as well as the default one
+  useEffect(() => {
+    if (!model) return;
+    model.traverse(object => object.layers.enable(PLAN_LAYER));
+  }, [model]);
+
+  // Frame the active floor
+  useEffect(() => {
+    const floorObject = floor ? getFloorObject(floor.id) : model;
+    if (!floorObject) {
+      viewRef.current = null;
+      return;
+    }
+
+    const box = new THREE.Box3().setFromObject(floorObject);
+    if (box.isEmpty()) {
+      viewRef.current = null;
+      return;
+    }
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    viewRef.current = {
+      center,
+      halfSize: Math.max(size.x, size.z, 1) / 2 * 1.1,
+      floorY: floor ? floor.minY : box.min.y
+    };
+  }, [model, floor, getFloorObject]);
+
+  useEffect(() => {
+    if (collapsed || !model) return;
+
+    const glCanvas = glCanvasRef.current;
+    const overlayCanvas = overlayCanvasRef.current;
+    const pixelRatio = window.devicePixelRatio || 1;
+    overlayCanvas.width = SIZE * pixelRatio;
+    overlayCanvas.height = SIZE * pixelRatio;
+
+    // A renderer of its own keeps the plan out of the main render loop
+    const renderer = new THREE.WebGLRenderer({ canvas: glCanvas, antialias: true });
+    renderer.setPixelRatio(pixelRatio);
+    renderer.setSize(SIZE, SIZE, false);
+    renderer.setClearColor(0xdde1e7);
+
+    const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    camera.up.set(0, 0, -1); // north up
+    camera.layers.set(PLAN_LAYER);
+    const planMaterial = createPlanMaterial();
+
+    const context = overlayCanvas.getContext('2d');
+    let frame;
+    let lastRender = 0;
+
+    const render = (time) => {
+      frame = requestAnimationFrame(render);
+      if ((time - lastRender) / 1000 < FRAME_INTERVAL) return;
+      lastRender = time;
+
+      const view = viewRef.current;
+      const scene = model.parent;
+      context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+      context.clearRect(0, 0, SIZE, SIZE);
+      if (!view || !scene) {
+        renderer.clear();
+        return;
+      }
+
+      const { center, halfSize, floorY } = view;
+      camera.left = -halfSize;
+      camera.right = halfSize;
+      camera.top = halfSize;
+      camera.bottom = -halfSize;
+      camera.position.set(center.x, floorY + CUT_HEIGHT, center.z);
+      camera.far = CUT_HEIGHT + 1;
+      camera.lookAt(center.x, floorY, center.z);
+      camera.updateProjectionMatrix();
+      planMaterial.uniforms.floorY.value = floorY;
+
+      const previousOverride = scene.overrideMaterial;
+      const previousBackground = scene.background;
+      scene.overrideMaterial = planMaterial;
+      scene.background = null;
+      renderer.render(scene, camera);
+      scene.overrideMaterial = previousOverride;
+      scene.background = previousBackground;
+
+      drawOverlay(context, view);
+    };
+    frame = requestAnimationFrame(render);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      planMaterial.dispose();
+      renderer.dispose();
+    };
+  }, [collapsed, model]);
+
+  const toMap = (view, x, z) => ({
+    x: ((x - view.center.x) / view.halfSize + 1) * SIZE / 2,
+    y: ((z - view.center.z) / view.halfSize + 1) * SIZE / 2
+  });
+
+  const toWorld = (view, x, y) => ({
+    x: view.center.x + (x / (SIZE / 2) - 1) * view.halfSize,
+    z: view.center.z + (y / (SIZE / 2) - 1) * view.halfSize
+  });
+
+  const isOnFloor = (view, y) => y > view.floorY - 0.5 && y < view.floorY + CUT_HEIGHT + 0.5;
+
+  const drawOverlay = (context, view) => {
+    const { locations, route, walkerProgress, mainCamera, originId, destinationId } = propsRef.current;
+
+    // What the main camera is looking at
+    if (mainCamera) {
+      const footprint = viewFootprint(mainCamera, view.floorY).map(point => toMap(view, point.x, point.z));
+      context.beginPath();
+      footprint.forEach((point, index) => (index === 0 ? context.moveTo(point.x, point.y) : context.lineTo(point.x, point.y)));
+      context.closePath();
+      context.fillStyle = 'rgba(102, 126, 234, 0.15)';
+      context.strokeStyle = 'rgba(102, 126, 234, 0.7)';
+      context.lineWidth = 1;
+      context.fill();
+      context.stroke();
+
+      const eye = toMap(view, mainCamera.position.x, mainCamera.position.z);
+      context.beginPath();
+      context.arc(eye.x, eye.y, 3, 0, Math.PI * 2);
+      context.fillStyle = '#667eea';
+      context.fill();
+    }
+
+    // The route, leg by leg where both ends are on this floor
+    if (route && route.points.length > 1) {
+      context.beginPath();
+      route.points.forEach((point, index) => {
+        const previous = route.points[index - 1];
+        if (!isOnFloor(view, point.y)) return;
+        const { x, y } = toMap(view, point.x, point.z);
+        if (previous && isOnFloor(view, previous.y)) {
+          context.lineTo(x, y);
+        } else {
+          context.moveTo(x, y);
+        }
+      });
+      context.strokeStyle = '#667eea';
+      context.lineWidth = 3;
+      context.lineJoin = 'round';
+      context.stroke();
+    }
+
+    locations.forEach(location => {
+      if (!isOnFloor(view, location.coordinates.y)) return;
+      const { x, y } = toMap(view, location.coordinates.x, location.coordinates.z);
+      const isOrigin = location.id === originId;
+      const isDestination = location.id === destinationId;
+      context.beginPath();
+      context.arc(x, y, isOrigin || isDestination ? 5 : 3.5, 0, Math.PI * 2);
+      context.fillStyle = isOrigin ? '#2ecc71' : isDestination ? '#e74c3c' : '#34495e';
+      context.fill();
+      context.strokeStyle = 'white';
+      context.lineWidth = 1.5;
+      context.stroke();
+    });
+
+    // The walker as an arrow pointing the way it faces
+    if (walkerProgress && isOnFloor(view, walkerProgress.position.y)) {
+      const { x, y } = toMap(view, walkerProgress.position.x, walkerProgress.position.z);
+      const angle = Math.atan2(Math.cos(walkerProgress.heading), Math.sin(walkerProgress.heading));
+      context.save();
+      context.translate(x, y);
+      context.rotate(angle);
+      context.beginPath();
+      context.moveTo(8, 0);
+      context.lineTo(-5, 5);
+      context.lineTo(-2, 0);
+      context.lineTo(-5, -5);
+      context.closePath();
+      context.fillStyle = '#f39c12';
+      context.strokeStyle = '#2c3e50';
+      context.lineWidth = 1;
+      context.fill();
+      context.stroke();
+      context.restore();
+    }
+  };
+
+  const handleClick = (event) => {
+    const view = viewRef.current;
+    if (!view) return;
+
+    const rect = event.currentTarget.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * SIZE / rect.width;
+    const y = (event.clientY - rect.top) * SIZE / rect.height;
+
+    if (pickMode === PICK_MODES.CAMERA) {
+      // Slide the main camera so it looks at the clicked point from the same angle
+      if (!mainCamera || !controls || !controls.enabled) return;
+      const point = toWorld(view, x, y);
+      const shift = new THREE.Vector3(point.x - controls.target.x, 0, point.z - controls.target.z);
+      controls.target.add(shift);
+      mainCamera.position.add(shift);
+      controls.update();
+      return;
+    }
+
+    // Nearest location on this floor within reach of the click
+    let nearest = null;
+    let nearestDistance = PICK_RADIUS;
+    locations.forEach(location => {
+      if (!isOnFloor(view, location.coordinates.y)) return;
+      const point = toMap(view, location.coordinates.x, location.coordinates.z);
+      const distance = Math.hypot(point.x - x, point.y - y);
+      if (distance <= nearestDistance) {
+        nearest = location;
+        nearestDistance = distance;
+      }
+    });
+    if (!nearest) return;
+
+    if (pickMode === PICK_MODES.ORIGIN) {
+      onPickOrigin(nearest.id);
+    } else {
+      onPickDestination(nearest.id);
+    }
+    setPickMode(PICK_MODES.CAMERA);
+  };
+
+  if (!model) return null;
+
+  return (
+    <div className="minimap">
+      <div className="minimap-header">
+        <span className="minimap-title">{floor ? floor.name : 'Plan'}</span>
+        <button className="minimap-collapse" onClick={() => setCollapsed(!collapsed)} title={collapsed ? 'Show plan' : 'Hide plan'}>
+          {collapsed ? '▴' : '▾'}
+        </button>
+      </div>
+      {!collapsed && (
+        <>
+          <div className="minimap-view" style={{ width: SIZE, height: SIZE }} onClick={handleClick}>
+            <canvas ref={glCanvasRef} style={{ width: SIZE, height: SIZE }} />
+            <canvas ref={overlayCanvasRef} className="minimap-overlay" style={{ width: SIZE, height: SIZE }} />
+          </div>
+          <div className="minimap-pick-modes">
+            <button
+              className={pickMode === PICK_MODES.CAMERA ? 'active' : ''}
+              onClick={() => setPickMode(PICK_MODES.CAMERA)}
+              title="Click the plan to look at that spot"
+            >
+              🎥 Look
+            </button>
+            {onPickOrigin && (
+              <button
+                className={pickMode === PICK_MODES.ORIGIN ? 'active' : ''}
+                onClick={() => setPickMode(PICK_MODES.ORIGIN)}
+                title="Click a location on the plan to start from it"
+              >
+                📍 From
+              </button>
+            )}
+            <button
+              className={pickMode === PICK_MODES.DESTINATION ? 'active' : ''}
+              onClick={() => setPickMode(PICK_MODES.DESTINATION)}
+              title="Click a location on the plan to go to it"
+            >
+              🎯 To
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Minimap;
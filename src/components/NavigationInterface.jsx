@@ -1,120 +1,210 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import * as THREE from 'three';
+import { generateRouteInstructions, findCurrentInstruction } from '../utils/RouteInstructions';
+import {
+  WALKING_PACES,
+  DEFAULT_WALKING_PACE,
+  measureRoute,
+  measuredAt,
+  remainingFromIndex,
+  formatDistance,
+  formatDuration
+} from '../utils/RouteEstimate';
+import { ROUTE_PROFILES, DEFAULT_ROUTE_PROFILE } from '../utils/Pathfinder';
+import { CAMERA_MODES, TOP_DOWN_ORIENTATIONS } from '../utils/CameraController';
+import { loadPreference, savePreference } from '../utils/preferences';
+import { LOCATION_CATEGORIES, getLocationIcon, getCategoryLabel } from '../utils/locationData';
+import { searchLocations, parseNearestQuery, rankByDistance, groupLocationsByFloor } from '../utils/LocationSearch';
 import './NavigationInterface.css';
 
+const MAX_RECENT_SEARCHES = 6;
+
+// Locations placed before there was a grid have no cell yet
+const formatGridPosition = (location) => (location.gridPosition
+  ? `(${location.gridPosition.x}, ${location.gridPosition.z})`
+  : '');
+
+const CAMERA_MODE_BUTTONS = [
+  { mode: CAMERA_MODES.FOLLOW, label: 'Follow', icon: '🎥', title: 'Chase the walker from behind' },
+  { mode: CAMERA_MODES.FIRST_PERSON, label: 'First person', icon: '👀', title: "See the route through the walker's eyes" },
+  { mode: CAMERA_MODES.TOP_DOWN, label: 'Top down', icon: '🗺️', title: 'Look down on the walker like a map' },
+  { mode: CAMERA_MODES.ORBIT, label: 'Free', icon: '🔄', title: 'Orbit the camera yourself' }
+];
+
 const NavigationInterface = ({ 
   markedLocations = [], 
+  locationDataError = null,
+  onImportLocations,
+  origin = '',
+  destination = '',
+  onOriginChange,
+  onDestinationChange,
+  isOriginLocked = false,
+  route = null,
+  onPlanRoute,
+  routeProfileId = DEFAULT_ROUTE_PROFILE,
+  onRouteProfileChange,
+  smoothPaths = true,
+  onSmoothPathsChange,
+  floorNames = [],
+  buildingFloors = [],
+  cameraMode = CAMERA_MODES.FOLLOW,
+  onCameraModeChange,
+  topDownOrientation = TOP_DOWN_ORIENTATIONS.NORTH_UP,
+  onTopDownOrientationChange,
   onStartNavigation, 
   onStopNavigation, 
   isNavigating = false,
   navigationProgress = 0,
+  walkerProgress = null,
   currentStep = null,
   totalSteps = 0
 }) => {
-  const [origin, setOrigin] = useState('');
-  const [destination, setDestination] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
-  const [filteredLocations, setFilteredLocations] = useState([]);
+  const [categoryFilter, setCategoryFilter] = useState(null);
+  const [recentSearches, setRecentSearches] = useState(() => loadPreference('recentSearches', []));
+  const [favouriteIds, setFavouriteIds] = useState(() => loadPreference('favouriteLocations', []));
   const [showOriginDropdown, setShowOriginDropdown] = useState(false);
   const [showDestinationDropdown, setShowDestinationDropdown] = useState(false);
   const [navigationInstructions, setNavigationInstructions] = useState([]);
-  const [currentInstruction, setCurrentInstruction] = useState(null);
   const [estimatedTime, setEstimatedTime] = useState(null);
   const [distance, setDistance] = useState(null);
+  const [minClearance, setMinClearance] = useState(ROUTE_PROFILES.wide.minClearance);
+  const [walkingPace, setWalkingPace] = useState(DEFAULT_WALKING_PACE);
+  const [walkingSpeed, setWalkingSpeed] = useState(WALKING_PACES[DEFAULT_WALKING_PACE].speed);
+  const locationFileInputRef = useRef();
 
-  // Filter locations based on search query
   useEffect(() => {
-    if (searchQuery.trim() === '') {
-      setFilteredLocations(markedLocations);
-    } else {
-      const filtered = markedLocations.filter(location =>
-        location.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        location.description.toLowerCase().includes(searchQuery.toLowerCase())
-      );
-      setFilteredLocations(filtered);
-    }
-  }, [searchQuery, markedLocations]);
+    savePreference('recentSearches', recentSearches);
+  }, [recentSearches]);
+
+  useEffect(() => {
+    savePreference('favouriteLocations', favouriteIds);
+  }, [favouriteIds]);
 
-  // Generate navigation instructions
+  // Generate navigation instructions from the route being walked
   useEffect(() => {
-    if (origin && destination) {
-      const instructions = generateNavigationInstructions(origin, destination);
-      setNavigationInstructions(instructions);
-      
-      // Calculate estimated time and distance
-      const originLoc = markedLocations.find(loc => loc.id === origin);
-      const destLoc = markedLocations.find(loc => loc.id === destination);
-      
-      if (originLoc && destLoc) {
-        const dist = calculateDistance(originLoc, destLoc);
-        setDistance(dist);
-        setEstimatedTime(Math.round(dist * 0.5)); // Rough estimate: 0.5 minutes per unit
-      }
+    setNavigationInstructions(route ? generateNavigationInstructions(route) : []);
+  }, [route, markedLocations, floorNames]);
+
+  // The selected routing profile; the wide-path profile uses the clearance the visitor entered
+  const routeProfile = useMemo(() => (ROUTE_PROFILES[routeProfileId].minClearance > 0
+    ? { ...ROUTE_PROFILES[routeProfileId], minClearance }
+    : ROUTE_PROFILES[routeProfileId]), [routeProfileId, minClearance]);
+
+  // The selected pace with the speed the visitor entered
+  const pace = useMemo(() => ({ ...WALKING_PACES[walkingPace], speed: walkingSpeed }), [walkingPace, walkingSpeed]);
+
+  // Categories that some location has, in the usual order, for the filter chips
+  const locationCategories = useMemo(() => {
+    const present = new Set(markedLocations.map(location => location.category).filter(Boolean));
+    const known = Object.keys(LOCATION_CATEGORIES).filter(category => present.has(category));
+    return [...known, ...[...present].filter(category => !LOCATION_CATEGORIES[category]).sort()];
+  }, [markedLocations]);
+
+  useEffect(() => {
+    if (categoryFilter && !locationCategories.includes(categoryFilter)) {
+      setCategoryFilter(null);
     }
-  }, [origin, destination, markedLocations]);
+  }, [categoryFilter, locationCategories]);
+
+  // "nearest restroom" and the like search one category and sort it by walking distance
+  const nearestQuery = useMemo(() => parseNearestQuery(searchQuery), [searchQuery]);
+  const matchingLocations = useMemo(() => searchLocations(
+    markedLocations,
+    nearestQuery ? nearestQuery.query : searchQuery,
+    { category: nearestQuery?.category || categoryFilter }
+  ), [markedLocations, searchQuery, nearestQuery, categoryFilter]);
 
-  // Update current instruction based on progress
+  // Nearest is measured from the end of the route that is already chosen
+  const nearestFromId = showOriginDropdown ? destination : origin;
+  const nearestResults = useMemo(() => {
+    if (!nearestQuery || !nearestFromId || !onPlanRoute) return null;
+
+    const candidates = matchingLocations.filter(location => location.id !== nearestFromId);
+    return rankByDistance(candidates, (location) => {
+      const plannedRoute = showOriginDropdown
+        ? onPlanRoute(location.id, nearestFromId, routeProfile)
+        : onPlanRoute(nearestFromId, location.id, routeProfile);
+      return plannedRoute ? measureRoute(plannedRoute, pace).distance : null;
+    });
+  }, [nearestQuery, nearestFromId, showOriginDropdown, matchingLocations, onPlanRoute, routeProfile, pace]);
+
+  const locationGroups = useMemo(
+    () => groupLocationsByFloor(matchingLocations, buildingFloors),
+    [matchingLocations, buildingFloors]
+  );
+
+  // Favourites are listed first until the visitor starts typing
+  const favouriteLocations = useMemo(() => (searchQuery.trim() === ''
+    ? matchingLocations.filter(location => favouriteIds.includes(location.id))
+    : []), [searchQuery, matchingLocations, favouriteIds]);
+
+  // Distance and walking time along the planned route, not as the crow flies
   useEffect(() => {
-    if (navigationInstructions.length > 0 && currentStep !== null) {
-      const instructionIndex = Math.floor((currentStep / totalSteps) * navigationInstructions.length);
-      if (instructionIndex < navigationInstructions.length) {
-        setCurrentInstruction(navigationInstructions[instructionIndex]);
-      }
+    const plannedRoute = origin && destination && origin !== destination && onPlanRoute
+      ? onPlanRoute(origin, destination, routeProfile)
+      : null;
+
+    if (plannedRoute) {
+      const measurement = measureRoute(plannedRoute, pace);
+      setDistance(measurement.distance);
+      setEstimatedTime(measurement.duration);
+    } else {
+      setDistance(null);
+      setEstimatedTime(null);
     }
-  }, [currentStep, totalSteps, navigationInstructions]);
-
-  const generateNavigationInstructions = (originId, destinationId) => {
-    const originLoc = markedLocations.find(loc => loc.id === originId);
-    const destLoc = markedLocations.find(loc => loc.id === destinationId);
-    
-    if (!originLoc || !destLoc) return [];
-
-    const instructions = [
-      {
-        type: 'start',
-        text: `Start at ${originLoc.name}`,
-        distance: 0,
-        icon: '🚶'
-      },
-      {
-        type: 'turn',
-        text: `Head towards ${destLoc.name}`,
-        distance: calculateDistance(originLoc, destLoc),
-        icon: '➡️'
-      },
-      {
-        type: 'arrive',
-        text: `Arrive at ${destLoc.name}`,
-        distance: 0,
-        icon: '🎯'
-      }
-    ];
-
-    return instructions;
-  };
+  }, [origin, destination, onPlanRoute, routeProfile, pace]);
+
+  const routeMeasurement = useMemo(() => (route ? measureRoute(route, pace) : null), [route, pace]);
+  // Fractional position along the route points, e.g. 2.5 is halfway along the third segment
+  const routePosition = walkerProgress
+    ? walkerProgress.segmentIndex + walkerProgress.segmentProgress
+    : currentStep || 0;
+  const remaining = routeMeasurement ? remainingFromIndex(routeMeasurement, routePosition) : null;
+
+  // The instruction whose leg the walker is on
+  const currentInstruction = useMemo(
+    () => findCurrentInstruction(navigationInstructions, Math.floor(routePosition)),
+    [navigationInstructions, routePosition]
+  );
+
+  // Distance left until the instruction after the current one applies
+  const nextInstruction = currentInstruction
+    ? navigationInstructions[navigationInstructions.indexOf(currentInstruction) + 1]
+    : null;
+  const distanceToNextInstruction = routeMeasurement && nextInstruction
+    ? measuredAt(routeMeasurement, nextInstruction.pathIndex).distance - measuredAt(routeMeasurement, routePosition).distance
+    : null;
 
-  const calculateDistance = (loc1, loc2) => {
-    const dx = loc1.coordinates.x - loc2.coordinates.x;
-    const dy = loc1.coordinates.y - loc2.coordinates.y;
-    const dz = loc1.coordinates.z - loc2.coordinates.z;
-    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  // Turns, landmarks and floor changes along the route polyline
+  const generateNavigationInstructions = (navigationRoute) => generateRouteInstructions(navigationRoute, {
+    locations: markedLocations,
+    origin: markedLocations.find(loc => loc.id === navigationRoute.originId),
+    destination: markedLocations.find(loc => loc.id === navigationRoute.destinationId),
+    floorNames
+  });
+
+  const handlePaceChange = (paceId) => {
+    setWalkingPace(paceId);
+    setWalkingSpeed(WALKING_PACES[paceId].speed);
   };
 
   const handleOriginSelect = (locationId) => {
-    setOrigin(locationId);
+    onOriginChange(locationId);
     setShowOriginDropdown(false);
     setSearchQuery('');
   };
 
   const handleDestinationSelect = (locationId) => {
-    setDestination(locationId);
+    onDestinationChange(locationId);
     setShowDestinationDropdown(false);
     setSearchQuery('');
   };
 
   const handleStartNavigation = () => {
     if (origin && destination && origin !== destination) {
-      onStartNavigation(origin, destination);
+      onStartNavigation(origin, destination, routeProfile);
     }
   };
 
@@ -122,10 +212,18 @@ const NavigationInterface = ({
     onStopNavigation();
   };
 
+  const handleLocationFileChange = (event) => {
+    const file = event.target.files[0];
+    if (file && onImportLocations) {
+      onImportLocations(file);
+    }
+    event.target.value = '';
+  };
+
   const handleSwapLocations = () => {
     const temp = origin;
-    setOrigin(destination);
-    setDestination(temp);
+    onOriginChange(destination);
+    onDestinationChange(temp);
   };
 
   const getLocationName = (locationId) => {
@@ -133,6 +231,59 @@ const NavigationInterface = ({
     return location ? location.name : '';
   };
 
+  const handleLocationSelect = (locationId) => {
+    const query = searchQuery.trim();
+    if (query) {
+      setRecentSearches(searches => [
+        query,
+        ...searches.filter(search => search.toLowerCase() !== query.toLowerCase())
+      ].slice(0, MAX_RECENT_SEARCHES));
+    }
+
+    if (showOriginDropdown) {
+      handleOriginSelect(locationId);
+    } else {
+      handleDestinationSelect(locationId);
+    }
+  };
+
+  const handleToggleFavourite = (event, locationId) => {
+    event.stopPropagation();
+    setFavouriteIds(ids => (ids.includes(locationId)
+      ? ids.filter(id => id !== locationId)
+      : [...ids, locationId]));
+  };
+
+  // One row of the location dropdown; detail is shown on the right
+  const renderLocationItem = (location, detail) => {
+    const isFavourite = favouriteIds.includes(location.id);
+    const about = [getCategoryLabel(location.category), ...(location.tags || [])].filter(Boolean).join(' · ');
+    return (
+      <div
+        key={location.id}
+        className="location-item"
+        onClick={() => handleLocationSelect(location.id)}
+      >
+        <span className="location-icon">{getLocationIcon(location)}</span>
+        <div className="location-info">
+          <div className="location-name">{location.name}</div>
+          {location.description && (
+            <div className="location-description">{location.description}</div>
+          )}
+          {about && <div className="location-tags">{about}</div>}
+        </div>
+        <div className="location-coordinates">{detail}</div>
+        <button
+          className={`favourite-button ${isFavourite ? 'active' : ''}`}
+          onClick={(event) => handleToggleFavourite(event, location.id)}
+          title={isFavourite ? 'Remove from favourites' : 'Add to favourites'}
+        >
+          {isFavourite ? '★' : '☆'}
+        </button>
+      </div>
+    );
+  };
+
   const canStartNavigation = origin && destination && origin !== destination;
 
   return (
@@ -149,12 +300,43 @@ const NavigationInterface = ({
         </div>
       </div>
 
+      {/* Location Data */}
+      {onImportLocations && (
+        <div className="location-data">
+          <button
+            className="import-locations-button"
+            onClick={() => locationFileInputRef.current?.click()}
+          >
+            📂 Import locations.json
+          </button>
+          <input
+            ref={locationFileInputRef}
+            type="file"
+            accept=".json,application/json"
+            style={{ display: 'none' }}
+            onChange={handleLocationFileChange}
+          />
+        </div>
+      )}
+      {locationDataError && (
+        <div className="location-data-error">
+          <div className="error-title">{locationDataError.message.split('\n')[0]}</div>
+          {locationDataError.errors.length > 0 && (
+            <ul className="error-list">
+              {locationDataError.errors.map((error, index) => (
+                <li key={index}>{error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* Search and Location Selection */}
       <div className="location-selection">
         <div className="location-input-group">
           <label className="location-label">
             <span className="label-icon">📍</span>
-            From
+            {isOriginLocked ? 'You are here' : 'From'}
           </label>
           <div className="location-input-container">
             <input
@@ -163,15 +345,18 @@ const NavigationInterface = ({
               placeholder="Select starting point"
               value={getLocationName(origin)}
               readOnly
+              disabled={isOriginLocked}
               onClick={() => setShowOriginDropdown(!showOriginDropdown)}
             />
-            <button 
-              className="clear-button"
-              onClick={() => setOrigin('')}
-              disabled={!origin}
-            >
-              ✕
-            </button>
+            {!isOriginLocked && (
+              <button 
+                className="clear-button"
+                onClick={() => onOriginChange('')}
+                disabled={!origin}
+              >
+                ✕
+              </button>
+            )}
           </div>
         </div>
 
@@ -191,7 +376,7 @@ const NavigationInterface = ({
             />
             <button 
               className="clear-button"
-              onClick={() => setDestination('')}
+              onClick={() => onDestinationChange('')}
               disabled={!destination}
             >
               ✕
@@ -200,7 +385,7 @@ const NavigationInterface = ({
         </div>
 
         {/* Swap Button */}
-        {origin && destination && (
+        {origin && destination && !isOriginLocked && (
           <button 
             className="swap-button"
             onClick={handleSwapLocations}
@@ -218,42 +403,132 @@ const NavigationInterface = ({
             <input
               type="text"
               className="search-input"
-              placeholder="Search locations..."
+              placeholder='Search, or try "nearest restroom"...'
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
             />
+            {searchQuery === '' && recentSearches.length > 0 && (
+              <div className="recent-searches">
+                {recentSearches.map(search => (
+                  <button key={search} className="recent-search-button" onClick={() => setSearchQuery(search)}>
+                    🕘 {search}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
-          <div className="location-list">
-            {filteredLocations.map((location) => (
-              <div
-                key={location.id}
-                className="location-item"
-                onClick={() => {
-                  if (showOriginDropdown) {
-                    handleOriginSelect(location.id);
-                  } else {
-                    handleDestinationSelect(location.id);
-                  }
-                }}
+          {locationCategories.length > 0 && (
+            <div className="category-filters">
+              <button
+                className={`category-filter-button ${categoryFilter === null ? 'active' : ''}`}
+                onClick={() => setCategoryFilter(null)}
               >
-                <div className="location-info">
-                  <div className="location-name">{location.name}</div>
-                  {location.description && (
-                    <div className="location-description">{location.description}</div>
-                  )}
-                </div>
-                <div className="location-coordinates">
-                  ({location.gridPosition.x}, {location.gridPosition.z})
-                </div>
+                All
+              </button>
+              {locationCategories.map(category => (
+                <button
+                  key={category}
+                  className={`category-filter-button ${categoryFilter === category ? 'active' : ''}`}
+                  onClick={() => setCategoryFilter(categoryFilter === category ? null : category)}
+                >
+                  {getLocationIcon({ category })} {getCategoryLabel(category)}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="location-list">
+            {nearestQuery && (
+              <div className="location-group-header">
+                {nearestFromId
+                  ? `Nearest ${nearestQuery.category ? getCategoryLabel(nearestQuery.category).toLowerCase() : `"${nearestQuery.query}"`} from ${getLocationName(nearestFromId)}`
+                  : `Choose ${showOriginDropdown ? 'a destination' : 'a starting point'} to sort by distance`}
               </div>
-            ))}
-            {filteredLocations.length === 0 && (
+            )}
+            {nearestResults
+              ? nearestResults.map(({ location, distance }) => renderLocationItem(
+                  location,
+                  distance !== null ? formatDistance(distance) : 'no route'
+                ))
+              : (
+                <>
+                  {favouriteLocations.length > 0 && (
+                    <div className="location-group">
+                      <div className="location-group-header">★ Favourites</div>
+                      {favouriteLocations.map(location => renderLocationItem(location, formatGridPosition(location)))}
+                    </div>
+                  )}
+                  {locationGroups.map(group => (
+                    <div key={group.floor ? group.floor.id : 'unplaced'} className="location-group">
+                      {(locationGroups.length > 1 || favouriteLocations.length > 0) && (
+                        <div className="location-group-header">{group.floor ? group.floor.name : 'Other'}</div>
+                      )}
+                      {group.locations.map(location => renderLocationItem(location, formatGridPosition(location)))}
+                    </div>
+                  ))}
+                </>
+              )}
+            {matchingLocations.length === 0 && (
               <div className="no-locations">No locations found</div>
             )}
           </div>
         </div>
       )}
 
+      {/* Route Profile */}
+      <div className="route-profiles">
+        {Object.entries(ROUTE_PROFILES).map(([profileId, profile]) => (
+          <button
+            key={profileId}
+            className={`route-profile-button ${routeProfileId === profileId ? 'active' : ''}`}
+            onClick={() => onRouteProfileChange(profileId)}
+            disabled={isNavigating}
+            title={profile.description}
+          >
+            {profile.label}
+          </button>
+        ))}
+        {routeProfile.minClearance > 0 && (
+          <label className="route-clearance">
+            Minimum width
+            <input
+              type="number"
+              min="0.5"
+              max="5"
+              step="0.1"
+              value={minClearance}
+              onChange={(e) => setMinClearance(parseFloat(e.target.value) || ROUTE_PROFILES.wide.minClearance)}
+              disabled={isNavigating}
+            />
+            m
+          </label>
+        )}
+      </div>
+
+      {/* Camera Mode */}
+      <div className="camera-modes">
+        {CAMERA_MODE_BUTTONS.map(({ mode, label, icon, title }) => (
+          <button
+            key={mode}
+            className={`camera-mode-button ${cameraMode === mode ? 'active' : ''}`}
+            onClick={() => onCameraModeChange(mode)}
+            title={title}
+          >
+            {icon} {label}
+          </button>
+        ))}
+        {cameraMode === CAMERA_MODES.TOP_DOWN && (
+          <button
+            className="camera-orientation-button"
+            onClick={() => onTopDownOrientationChange(topDownOrientation === TOP_DOWN_ORIENTATIONS.NORTH_UP
+              ? TOP_DOWN_ORIENTATIONS.HEADING_UP
+              : TOP_DOWN_ORIENTATIONS.NORTH_UP)}
+            title="Keep north at the top, or turn the map with the walker"
+          >
+            {topDownOrientation === TOP_DOWN_ORIENTATIONS.NORTH_UP ? '🧭 North up' : '⬆️ Heading up'}
+          </button>
+        )}
+      </div>
+
       {/* Navigation Controls */}
       <div className="navigation-controls">
         {!isNavigating ? (
@@ -280,19 +555,56 @@ const NavigationInterface = ({
       {origin && destination && (
         <div className="route-info">
           <div className="route-stats">
-            {distance && (
+            {distance !== null && (
               <div className="stat-item">
                 <span className="stat-icon">📏</span>
-                <span className="stat-value">{distance.toFixed(1)}m</span>
+                <span className="stat-value">{formatDistance(distance)}</span>
               </div>
             )}
-            {estimatedTime && (
+            {estimatedTime !== null && (
               <div className="stat-item">
                 <span className="stat-icon">⏱️</span>
-                <span className="stat-value">{estimatedTime} min</span>
+                <span className="stat-value">{formatDuration(estimatedTime)}</span>
+              </div>
+            )}
+            {distance === null && (
+              <div className="stat-item">
+                <span className="stat-value">No walkable route</span>
               </div>
             )}
           </div>
+          <div className="walking-pace">
+            <label>
+              Pace
+              <select value={walkingPace} onChange={(e) => handlePaceChange(e.target.value)}>
+                {Object.entries(WALKING_PACES).map(([paceId, option]) => (
+                  <option key={paceId} value={paceId}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              <input
+                type="number"
+                min="0.2"
+                max="3"
+                step="0.1"
+                value={walkingSpeed}
+                onChange={(e) => setWalkingSpeed(parseFloat(e.target.value) || WALKING_PACES[walkingPace].speed)}
+              />
+              m/s
+            </label>
+            {onSmoothPathsChange && (
+              <label title="Straighten the grid route and follow it along a curve">
+                <input
+                  type="checkbox"
+                  checked={smoothPaths}
+                  onChange={(e) => onSmoothPathsChange(e.target.checked)}
+                  disabled={isNavigating}
+                />
+                Smooth
+              </label>
+            )}
+          </div>
         </div>
       )}
 
@@ -313,7 +625,7 @@ const NavigationInterface = ({
                   <div className="instruction-text">{instruction.text}</div>
                   {instruction.distance > 0 && (
                     <div className="instruction-distance">
-                      {instruction.distance.toFixed(1)}m
+                      {formatDistance(instruction.distance)}
                     </div>
                   )}
                 </div>
@@ -329,11 +641,16 @@ const NavigationInterface = ({
           <div className="progress-bar">
             <div 
               className="progress-fill"
-              style={{ width: `${(currentStep / totalSteps) * 100}%` }}
+              style={{ width: `${Math.min(navigationProgress, 1) * 100}%` }}
             />
           </div>
           <div className="progress-text">
-            Step {currentStep} of {totalSteps}
+            {remaining
+              ? `${formatDistance(remaining.distance)} · ${formatDuration(remaining.duration)} remaining`
+              : `Step ${currentStep} of ${totalSteps}`}
+            {walkerProgress && walkerProgress.elapsedTime > 0 && (
+              <span className="progress-elapsed"> · {formatDuration(walkerProgress.elapsedTime)} elapsed</span>
+            )}
           </div>
         </div>
       )}
@@ -345,6 +662,11 @@ const NavigationInterface = ({
             <span className="current-icon">{currentInstruction.icon}</span>
             <span className="current-text">{currentInstruction.text}</span>
           </div>
+          {nextInstruction && distanceToNextInstruction > 0 && (
+            <div className="current-instruction-next">
+              In {formatDistance(distanceToNextInstruction)}: {nextInstruction.text}
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,19 @@
+import './PickPopup.css';
+
+// Small menu at the clicked spot in the 3D view for using it as the origin or destination.
+// Without onPickOrigin (a kiosk's fixed origin) only the destination can be picked.
+const PickPopup = ({ x, y, title, subtitle = '', onPickOrigin, onPickDestination, onClose }) => (
+  <div className="pick-popup" style={{ left: x, top: y }} onPointerDown={(event) => event.stopPropagation()}>
+    <div className="pick-popup-header">
+      <span className="pick-popup-title">{title}</span>
+      <button className="pick-popup-close" onClick={onClose} title="Close">×</button>
+    </div>
+    {subtitle && <div className="pick-popup-subtitle">{subtitle}</div>}
+    <div className="pick-popup-actions">
+      {onPickOrigin && <button onClick={onPickOrigin}>📍 From here</button>}
+      <button onClick={onPickDestination}>🎯 To here</button>
+    </div>
+  </div>
+);
+
+export default PickPopup;
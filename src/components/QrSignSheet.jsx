@@ -0,0 +1,57 @@
+import { useState, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { encodeQrCode, qrCodeToSvgPath, qrCodeViewBoxSize } from '../utils/QrCode';
+import { createLocationLink } from '../utils/deepLink';
+import { getLocationIcon } from '../utils/locationData';
+import './QrSignSheet.css';
+
+const QrCodeImage = ({ text }) => {
+  const qr = useMemo(() => encodeQrCode(text), [text]);
+  const viewBoxSize = qrCodeViewBoxSize(qr);
+  return (
+    <svg className="qr-code" viewBox={`0 0 ${viewBoxSize} ${viewBoxSize}`} shapeRendering="crispEdges">
+      <rect width={viewBoxSize} height={viewBoxSize} fill="#ffffff" />
+      <path d={qrCodeToSvgPath(qr)} fill="#000000" />
+    </svg>
+  );
+};
+
+// Printable "You are here" signs, one per location, each with a QR code that opens the app
+// starting from that location. Kiosk links also lock the origin on the screen that opens them.
+// Rendered straight into the body so printing can leave the rest of the app out.
+const QrSignSheet = ({ locations, pageUrl = window.location.href, onClose }) => {
+  const [kiosk, setKiosk] = useState(false);
+
+  return createPortal(
+    <div className="qr-sheet">
+      <div className="qr-sheet-toolbar">
+        <span className="qr-sheet-title">
+          {locations.length === 1 ? `Sign for ${locations[0].name}` : `Signs for ${locations.length} locations`}
+        </span>
+        <label title="Kiosk links fix the starting point and return to a welcome screen when left alone">
+          <input type="checkbox" checked={kiosk} onChange={(e) => setKiosk(e.target.checked)} />
+          Kiosk links
+        </label>
+        <button className="qr-sheet-button" onClick={() => window.print()}>🖨️ Print</button>
+        <button className="qr-sheet-button secondary" onClick={onClose}>Close</button>
+      </div>
+      <div className="qr-sheet-signs">
+        {locations.map(location => {
+          const link = createLocationLink(pageUrl, location.id, { kiosk });
+          return (
+            <div key={location.id} className="qr-sign">
+              <div className="qr-sign-heading">You are here</div>
+              <div className="qr-sign-name">{getLocationIcon(location)} {location.name}</div>
+              <QrCodeImage text={link} />
+              <div className="qr-sign-hint">Scan to find your way from here</div>
+              <div className="qr-sign-link">{link}</div>
+            </div>
+          );
+        })}
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default QrSignSheet;
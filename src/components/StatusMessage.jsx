@@ -0,0 +1,21 @@
+import './StatusMessage.css';
+
+// Latest status line from the app, or an error with the list of problems behind it
+// (validation errors carry an `errors` array)
+const StatusMessage = ({ message, errors = [], isError = false, onClose }) => (
+  <div className={`status-message ${isError ? 'error' : ''}`} role={isError ? 'alert' : 'status'}>
+    <div className="status-message-header">
+      <span className="status-message-text">{message}</span>
+      <button className="status-message-close" onClick={onClose} title="Dismiss">×</button>
+    </div>
+    {errors.length > 0 && (
+      <ul className="status-message-errors">
+        {errors.map((error, index) => (
+          <li key={index}>{error}</li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+export default StatusMessage;
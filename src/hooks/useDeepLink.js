@@ -0,0 +1,64 @@
+import { useRef, useEffect } from 'react';
+import { parseDeepLink, formatDeepLink } from '../utils/deepLink';
+
+const VIEW_WRITE_DELAY = 500; // ms the camera has to rest before its pose is written
+
+const writeSearch = (search, push) => {
+  if (search === window.location.search) return;
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (push) {
+    window.history.pushState(null, '', url);
+  } else {
+    window.history.replaceState(null, '', url);
+  }
+};
+
+// Mirrors the chosen route, profile, floor and camera into the page URL. Choosing a different
+// origin, destination or profile adds a history entry; floor and camera changes update the
+// current one. onNavigate(link) is called with the restored link (see parseDeepLink) when
+// the visitor goes back or forward.
+export const useDeepLink = ({ from, to, profile, floor }, camera, controls, onNavigate) => {
+  const onNavigateRef = useRef(onNavigate);
+  const hasWrittenRef = useRef(false);
+
+  onNavigateRef.current = onNavigate;
+
+  useEffect(() => {
+    // The first write only tidies up the link the page was opened with
+    writeSearch(formatDeepLink(window.location.search, { from, to, profile }), hasWrittenRef.current);
+    hasWrittenRef.current = true;
+  }, [from, to, profile]);
+
+  // The active floor is only known once the building has loaded, so keep the linked one until then
+  useEffect(() => {
+    if (floor) {
+      writeSearch(formatDeepLink(window.location.search, { floor }), false);
+    }
+  }, [floor]);
+
+  // The camera pose once the visitor stops moving it
+  useEffect(() => {
+    if (!camera || !controls) return;
+
+    let timeout;
+    const handleChange = () => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => {
+        const view = { position: camera.position, target: controls.target };
+        writeSearch(formatDeepLink(window.location.search, { view }), false);
+      }, VIEW_WRITE_DELAY);
+    };
+
+    controls.addEventListener('change', handleChange);
+    return () => {
+      clearTimeout(timeout);
+      controls.removeEventListener('change', handleChange);
+    };
+  }, [camera, controls]);
+
+  useEffect(() => {
+    const handlePopState = () => onNavigateRef.current(parseDeepLink(window.location.search));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+};
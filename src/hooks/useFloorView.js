@@ -0,0 +1,164 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import * as THREE from 'three';
+import { findBuildingFloorForHeight } from '../utils/buildingManifest';
+
+export const FLOOR_VIEW_MODES = {
+  ALL: 'all',
+  ISOLATE: 'isolate',
+  GHOST: 'ghost',
+  EXPLODE: 'explode'
+};
+
+const GHOST_OPACITY = 0.15;
+const EXPLODE_GAP = 4; // extra units between neighbouring floors in the exploded view
+const FRAME_DURATION = 0.6; // seconds
+
+const forEachMaterial = (object, callback) => {
+  object.traverse((child) => {
+    if (!child.isMesh || !child.material) return;
+    (Array.isArray(child.material) ? child.material : [child.material]).forEach(callback);
+  });
+};
+
+// Makes a floor see-through, remembering the material settings so they can be restored
+const setFloorGhosted = (floorObject, ghosted) => {
+  forEachMaterial(floorObject, (material) => {
+    const original = material.userData.floorViewOriginal;
+    if (ghosted) {
+      if (!original) {
+        material.userData.floorViewOriginal = {
+          transparent: material.transparent,
+          opacity: material.opacity,
+          depthWrite: material.depthWrite
+        };
+      }
+      const baseOpacity = material.userData.floorViewOriginal.opacity;
+      material.transparent = true;
+      material.opacity = baseOpacity * GHOST_OPACITY;
+      material.depthWrite = false;
+      material.needsUpdate = true;
+    } else if (original) {
+      material.transparent = original.transparent;
+      material.opacity = original.opacity;
+      material.depthWrite = original.depthWrite;
+      material.needsUpdate = true;
+      delete material.userData.floorViewOriginal;
+    }
+  });
+};
+
+// Floor-by-floor viewing of a loaded building: show every floor, only the active one,
+// the others ghosted, or the floors pulled apart around the active one. The active floor
+// always stays at its authored height so the grid, locations and walker line up with it.
+export const useFloorView = (camera, controls, getFloorObject, buildingFloors, hiddenFloorIds = []) => {
+  const [mode, setModeState] = useState(FLOOR_VIEW_MODES.ALL);
+  const [activeFloorId, setActiveFloorId] = useState(null);
+  const buildingFloorsRef = useRef(buildingFloors);
+  const frameRequestedRef = useRef(false);
+  const frameAnimationRef = useRef();
+
+  // A new building starts on its lowest floor
+  useEffect(() => {
+    buildingFloorsRef.current = buildingFloors;
+    const lowest = [...buildingFloors].sort((a, b) => a.minY - b.minY)[0];
+    setActiveFloorId(lowest ? lowest.id : null);
+  }, [buildingFloors]);
+
+  const frameFloor = useCallback((floorObject) => {
+    // Disabled controls mean the camera is following the walker (see CameraController)
+    if (!camera || !controls || !controls.enabled) return;
+
+    const box = new THREE.Box3().setFromObject(floorObject);
+    if (box.isEmpty()) return;
+
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    const radius = Math.max(size.x, size.z, size.y) / 2;
+    const distance = (radius / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) * 1.2;
+
+    // Keep the current viewing direction, but never look at a floor from below
+    const direction = camera.position.clone().sub(controls.target).normalize();
+    if (direction.y < 0.3) {
+      direction.y = 0.3;
+      direction.normalize();
+    }
+
+    const startPosition = camera.position.clone();
+    const startTarget = controls.target.clone();
+    const endPosition = center.clone().addScaledVector(direction, distance);
+    const startTime = performance.now();
+
+    cancelAnimationFrame(frameAnimationRef.current);
+    const animate = (time) => {
+      const t = Math.min((time - startTime) / (FRAME_DURATION * 1000), 1);
+      const eased = t * t * (3 - 2 * t);
+      camera.position.lerpVectors(startPosition, endPosition, eased);
+      controls.target.lerpVectors(startTarget, center, eased);
+      controls.update();
+      if (t < 1) {
+        frameAnimationRef.current = requestAnimationFrame(animate);
+      }
+    };
+    frameAnimationRef.current = requestAnimationFrame(animate);
+  }, [camera, controls]);
+
+  useEffect(() => () => cancelAnimationFrame(frameAnimationRef.current), []);
+
+  // Apply visibility, ghosting and vertical offsets whenever the view changes
+  useEffect(() => {
+    const floors = [...buildingFloors].sort((a, b) => a.minY - b.minY);
+    const activeIndex = floors.findIndex(floor => floor.id === activeFloorId);
+
+    floors.forEach((floor, index) => {
+      const floorObject = getFloorObject(floor.id);
+      if (!floorObject) return;
+
+      const isActive = index === activeIndex || activeIndex === -1;
+      floorObject.visible = !hiddenFloorIds.includes(floor.id) &&
+        (mode !== FLOOR_VIEW_MODES.ISOLATE || isActive);
+      setFloorGhosted(floorObject, mode === FLOOR_VIEW_MODES.GHOST && !isActive);
+
+      const shift = mode === FLOOR_VIEW_MODES.EXPLODE && activeIndex !== -1
+        ? (index - activeIndex) * EXPLODE_GAP
+        : 0;
+      floorObject.position.y = floor.elevation + shift;
+      floorObject.updateMatrixWorld(true);
+    });
+
+    if (frameRequestedRef.current) {
+      frameRequestedRef.current = false;
+      const activeObject = activeFloorId ? getFloorObject(activeFloorId) : null;
+      if (activeObject) {
+        frameFloor(activeObject);
+      }
+    }
+  }, [mode, activeFloorId, buildingFloors, hiddenFloorIds, getFloorObject, frameFloor]);
+
+  // frame: false switches floor without moving the camera
+  const selectFloor = useCallback((floorId, { frame = true } = {}) => {
+    frameRequestedRef.current = frame;
+    setActiveFloorId(floorId);
+  }, []);
+
+  const setMode = useCallback((nextMode) => {
+    frameRequestedRef.current = nextMode !== FLOOR_VIEW_MODES.ALL;
+    setModeState(nextMode);
+  }, []);
+
+  // Switches to the floor containing a world height without moving the camera, so a
+  // camera that is following the walker is left alone
+  const followHeight = useCallback((y) => {
+    const floor = findBuildingFloorForHeight(buildingFloorsRef.current, y);
+    if (floor) {
+      setActiveFloorId(floor.id);
+    }
+  }, []);
+
+  return {
+    mode,
+    setMode,
+    activeFloorId,
+    selectFloor,
+    followHeight
+  };
+};
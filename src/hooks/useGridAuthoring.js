@@ -0,0 +1,249 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { GridOverlay } from '../utils/GridOverlay';
+import { cellKey, setCellWalkable, setCellAttributes, cellToWorld, createConnector } from '../utils/gridData';
+
+export const AUTHORING_MODES = {
+  WALKABLE: 'walkable',
+  BLOCKED: 'blocked',
+  STEPS: 'steps',
+  LOCATION: 'location',
+  CONNECTOR: 'connector'
+};
+
+// Grid whose cells and attributes on the given floors are copies, so editing them leaves the
+// grid React holds untouched
+const copyFloors = (grid, floors) => {
+  const cells = [...grid.cells];
+  const attributes = [...grid.attributes];
+  floors.forEach(floor => {
+    cells[floor] = new Map(cells[floor]);
+    attributes[floor] = new Map(attributes[floor]);
+  });
+  return { ...grid, cells, attributes };
+};
+
+export const useGridAuthoring = (scene, controls, addPointerListener, grid, onGridChange, onStatusChange, enabled) => {
+  const overlayRef = useRef();
+  const gridRef = useRef(grid);
+  const paintingRef = useRef(false);
+  const strokeRef = useRef(null); // { grid, floors } being painted until the stroke ends
+  const lastPaintedRef = useRef(null);
+  const [mode, setMode] = useState(null);
+  const [activeFloor, setActiveFloor] = useState(0);
+  const [pendingCell, setPendingCell] = useState(null);
+  const [connectorStart, setConnectorStart] = useState(null);
+  const [pendingConnector, setPendingConnector] = useState(null);
+
+  gridRef.current = grid;
+
+  // Overlay lifetime follows the scene
+  useEffect(() => {
+    if (!scene) return;
+
+    overlayRef.current = new GridOverlay(scene);
+
+    return () => {
+      overlayRef.current.destroy();
+      overlayRef.current = null;
+    };
+  }, [scene]);
+
+  useEffect(() => {
+    if (grid && activeFloor >= grid.floors.length) {
+      setActiveFloor(0);
+    }
+  }, [grid, activeFloor]);
+
+  useEffect(() => {
+    const overlay = overlayRef.current;
+    if (!overlay) return;
+
+    overlay.update(grid, activeFloor);
+    if (enabled && grid) {
+      overlay.show();
+    } else {
+      overlay.hide();
+    }
+  }, [grid, activeFloor, enabled, scene]);
+
+  const paintCell = useCallback((cell) => {
+    const key = cellKey(cell.x, cell.z);
+    if (lastPaintedRef.current === key) return;
+    lastPaintedRef.current = key;
+
+    // The first cell a stroke paints on a floor copies that floor
+    if (!strokeRef.current) {
+      strokeRef.current = { grid: gridRef.current, floors: new Set() };
+    }
+    const stroke = strokeRef.current;
+    if (!stroke.floors.has(cell.floor)) {
+      stroke.grid = copyFloors(stroke.grid, [cell.floor]);
+      stroke.floors.add(cell.floor);
+    }
+
+    setCellWalkable(stroke.grid, cell.floor, cell.x, cell.z, mode !== AUTHORING_MODES.BLOCKED);
+    if (mode !== AUTHORING_MODES.BLOCKED) {
+      // Cells with steps stay walkable but are left out of step-free routes
+      setCellAttributes(stroke.grid, cell.floor, cell.x, cell.z, {
+        stepFree: mode === AUTHORING_MODES.STEPS ? false : undefined
+      });
+    }
+    overlayRef.current.update(stroke.grid, cell.floor);
+  }, [mode]);
+
+  const finishPainting = useCallback(() => {
+    if (!paintingRef.current) return;
+
+    paintingRef.current = false;
+    lastPaintedRef.current = null;
+    if (controls) {
+      controls.enabled = true;
+    }
+    // The stroke paints into its own copy of the grid, handed to React once it ends
+    const stroke = strokeRef.current;
+    strokeRef.current = null;
+    if (stroke) {
+      onGridChange(stroke.grid);
+    }
+  }, [controls, onGridChange]);
+
+  useEffect(() => {
+    if (!enabled || !mode || !addPointerListener) return;
+
+    const removeListener = addPointerListener((type, { event, raycaster }) => {
+      const overlay = overlayRef.current;
+      if (!overlay || !gridRef.current) return;
+
+      if (type === 'down' && event.button === 0) {
+        const cell = overlay.pickCell(raycaster);
+        if (!cell) return;
+
+        if (mode === AUTHORING_MODES.LOCATION) {
+          setPendingCell(cell);
+          return;
+        }
+
+        if (mode === AUTHORING_MODES.CONNECTOR) {
+          if (!connectorStart) {
+            setConnectorStart(cell);
+            onStatusChange('Switch to the connected floor and click the other end.');
+          } else if (cell.floor === connectorStart.floor) {
+            onStatusChange('The other end of a connector must be on a different floor.');
+          } else {
+            setPendingConnector({ from: connectorStart, to: cell });
+            setConnectorStart(null);
+          }
+          return;
+        }
+
+        paintingRef.current = true;
+        if (controls) {
+          controls.enabled = false;
+        }
+        paintCell(cell);
+      } else if (type === 'move' && paintingRef.current) {
+        const cell = overlay.pickCell(raycaster);
+        if (cell) {
+          paintCell(cell);
+        }
+      } else if (type === 'up' || type === 'leave') {
+        finishPainting();
+      }
+    });
+
+    return () => {
+      removeListener();
+      finishPainting();
+    };
+  }, [enabled, mode, addPointerListener, controls, paintCell, finishPainting, connectorStart, onStatusChange]);
+
+  const changeMode = useCallback((nextMode) => {
+    const newMode = mode === nextMode ? null : nextMode;
+    setMode(newMode);
+    setPendingCell(null);
+    setConnectorStart(null);
+    setPendingConnector(null);
+    if (newMode === AUTHORING_MODES.LOCATION) {
+      onStatusChange('Click a cell to place a location.');
+    } else if (newMode === AUTHORING_MODES.CONNECTOR) {
+      onStatusChange('Click the cell where the stairs, lift or escalator starts.');
+    } else if (newMode === AUTHORING_MODES.STEPS) {
+      onStatusChange('Click and drag over cells with a step or kerb.');
+    } else if (newMode) {
+      onStatusChange(`Click and drag over cells to mark them ${newMode}.`);
+    }
+  }, [mode, onStatusChange]);
+
+  const createLocationAtPendingCell = useCallback(({ name, description = '', category = null, tags = [], aliases = [] }) => {
+    if (!pendingCell || !gridRef.current) return null;
+
+    const position = cellToWorld(gridRef.current, pendingCell.floor, pendingCell.x, pendingCell.z);
+    const location = {
+      id: `location_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+      name: name.trim(),
+      description: description.trim(),
+      category,
+      tags,
+      aliases,
+      floorId: gridRef.current.floorIds[pendingCell.floor] ?? null,
+      coordinates: { x: position.x, y: position.y, z: position.z },
+      gridPosition: { x: pendingCell.x, z: pendingCell.z },
+      timestamp: new Date().toISOString()
+    };
+
+    // A location is only reachable if its own cell is walkable
+    const nextGrid = copyFloors(gridRef.current, [pendingCell.floor]);
+    setCellWalkable(nextGrid, pendingCell.floor, pendingCell.x, pendingCell.z, true);
+    onGridChange(nextGrid);
+    setPendingCell(null);
+    return location;
+  }, [pendingCell, onGridChange]);
+
+  const clearPendingCell = useCallback(() => setPendingCell(null), []);
+
+  const createPendingConnector = useCallback(({ name, type, cost, stepFree, width }) => {
+    if (!pendingConnector || !gridRef.current) return null;
+
+    const { from, to } = pendingConnector;
+    const connector = createConnector({ name: name.trim(), type, from, to, cost, stepFree, width });
+
+    // Both ends must be walkable for the pathfinder to use the connector
+    const nextGrid = copyFloors(gridRef.current, [from.floor, to.floor]);
+    setCellWalkable(nextGrid, from.floor, from.x, from.z, true);
+    setCellWalkable(nextGrid, to.floor, to.x, to.z, true);
+    onGridChange({
+      ...nextGrid,
+      connectors: [...nextGrid.connectors, connector]
+    });
+    setPendingConnector(null);
+    return connector;
+  }, [pendingConnector, onGridChange]);
+
+  const clearPendingConnector = useCallback(() => {
+    setConnectorStart(null);
+    setPendingConnector(null);
+  }, []);
+
+  const deleteConnector = useCallback((connectorId) => {
+    if (!gridRef.current) return;
+    onGridChange({
+      ...gridRef.current,
+      connectors: gridRef.current.connectors.filter(connector => connector.id !== connectorId)
+    });
+  }, [onGridChange]);
+
+  return {
+    mode,
+    setMode: changeMode,
+    activeFloor,
+    setActiveFloor,
+    pendingCell,
+    clearPendingCell,
+    createLocationAtPendingCell,
+    connectorStart,
+    pendingConnector,
+    createPendingConnector,
+    clearPendingConnector,
+    deleteConnector
+  };
+};
@@ -0,0 +1,44 @@
+import { useState, useCallback } from 'react';
+import { fetchGridData, readGridFile, DEFAULT_GRID_URL } from '../utils/gridData';
+
+export const useGridData = (onStatusChange) => {
+  const [grid, setGrid] = useState(null);
+  const [error, setError] = useState(null);
+
+  const applyGrid = useCallback((data) => {
+    setGrid(data);
+    setError(null);
+    onStatusChange(`Loaded navigation grid with ${data.floors.length} floor(s).`);
+  }, [onStatusChange]);
+
+  const handleError = useCallback((err) => {
+    console.error('Error loading grid data:', err);
+    setError({ message: err.message, errors: err.errors || [] });
+    onStatusChange('Error loading grid data.');
+  }, [onStatusChange]);
+
+  const loadFromUrl = useCallback(async (url = DEFAULT_GRID_URL) => {
+    try {
+      applyGrid(await fetchGridData(url));
+    } catch (err) {
+      handleError(err);
+    }
+  }, [applyGrid, handleError]);
+
+  const loadFromFile = useCallback(async (file) => {
+    if (!file) return;
+    try {
+      applyGrid(await readGridFile(file));
+    } catch (err) {
+      handleError(err);
+    }
+  }, [applyGrid, handleError]);
+
+  return {
+    grid,
+    error,
+    setGrid,
+    loadFromUrl,
+    loadFromFile
+  };
+};
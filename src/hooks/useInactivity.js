@@ -0,0 +1,28 @@
+import { useRef, useEffect } from 'react';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
+// Calls onIdle once nobody has touched the page for timeout milliseconds, then waits for
+// the next interaction before counting again
+export const useInactivity = (enabled, timeout, onIdle) => {
+  const onIdleRef = useRef(onIdle);
+
+  onIdleRef.current = onIdle;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let timer;
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => onIdleRef.current(), timeout);
+    };
+
+    restart();
+    ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, restart, { passive: true }));
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, restart));
+    };
+  }, [enabled, timeout]);
+};
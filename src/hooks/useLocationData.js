@@ -0,0 +1,50 @@
+import { useState, useCallback } from 'react';
+import { fetchLocationData, readLocationFile, DEFAULT_LOCATIONS_URL } from '../utils/locationData';
+
+export const useLocationData = (onStatusChange) => {
+  const [locations, setLocations] = useState([]);
+  const [metadata, setMetadata] = useState(null);
+  const [error, setError] = useState(null);
+
+  const applyData = useCallback((data) => {
+    setLocations(data.locations);
+    setMetadata(data.metadata);
+    setError(null);
+    onStatusChange(`Loaded ${data.locations.length} locations.`);
+  }, [onStatusChange]);
+
+  const handleError = useCallback((err) => {
+    console.error('Error loading location data:', err);
+    setError({ message: err.message, errors: err.errors || [] });
+    onStatusChange('Error loading location data.');
+  }, [onStatusChange]);
+
+  const loadFromUrl = useCallback(async (url = DEFAULT_LOCATIONS_URL) => {
+    try {
+      applyData(await fetchLocationData(url));
+    } catch (err) {
+      handleError(err);
+    }
+  }, [applyData, handleError]);
+
+  const loadFromFile = useCallback(async (file) => {
+    if (!file) return;
+    try {
+      applyData(await readLocationFile(file));
+    } catch (err) {
+      handleError(err);
+    }
+  }, [applyData, handleError]);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return {
+    locations,
+    metadata,
+    error,
+    setLocations,
+    loadFromUrl,
+    loadFromFile,
+    clearError
+  };
+};
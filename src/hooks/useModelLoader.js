@@ -1,17 +1,59 @@
 import { useCallback, useRef } from 'react';
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { buildGrid } from '../utils/GridBuilder';
+import { createGltfLoader } from '../utils/gltfLoader';
+import { createSingleModelManifest } from '../utils/buildingManifest';
+import { readModelConventions } from '../utils/ModelConventions';
+
+// Per-floor material fixes applied to every loaded model
+const prepareFloorModel = (model) => {
+  model.traverse((object) => {
+    // The "GF" floor slab should render plain white whatever the lighting
+    if (!object.isMesh || !object.material || object.name !== 'GF') return;
+
+    const { material } = object;
+    if (material.color && !['ffffff', 'fffffe', 'fffffd'].includes(material.color.getHexString())) {
+      material.color.setHex(0xffffff);
+    }
+    if (material.type === 'MeshStandardMaterial' || material.type === 'MeshPhysicalMaterial') {
+      // Unlit, so it doesn't come out grey under the scene lights
+      object.material = new THREE.MeshBasicMaterial({
+        color: material.color,
+        map: material.map,
+        transparent: material.transparent,
+        opacity: material.opacity
+      });
+    }
+  });
+};
+
+// Plain description of each loaded floor, including its world-space vertical extent
+const describeFloors = (floors) => floors.map(floor => {
+  const box = new THREE.Box3().setFromObject(floor.object);
+  return {
+    id: floor.id,
+    name: floor.name,
+    elevation: floor.elevation,
+    minY: box.isEmpty() ? floor.elevation : box.min.y,
+    maxY: box.isEmpty() ? floor.elevation : box.max.y
+  };
+});
 
 export const useModelLoader = (scene, camera, controls, onModelLoad, onStatusChange) => {
   const currentModelRef = useRef();
   const selectedObjectsRef = useRef([]);
   const selectedObjectBoundsRef = useRef();
+  const floorsRef = useRef([]);
+  const conventionsRef = useRef(readModelConventions(null));
+  const loadIdRef = useRef(0);
 
   const cleanUp = useCallback(() => {
     if (currentModelRef.current && scene) {
       scene.remove(currentModelRef.current);
     }
     currentModelRef.current = null;
+    floorsRef.current = [];
+    conventionsRef.current = readModelConventions(null);
     selectedObjectsRef.current = [];
     selectedObjectBoundsRef.current = null;
   }, [scene]);
@@ -87,8 +129,11 @@ export const useModelLoader = (scene, camera, controls, onModelLoad, onStatusCha
     selectedObjectsRef.current = [];
     if (!currentModelRef.current) return { objects: [], bounds: null, floors: [] };
     
+    // Nodes the model marks as obstacles are never walked on, even when ticked
+    const blocked = new Set();
+    conventionsRef.current.obstacles.forEach(obstacle => obstacle.traverse(child => blocked.add(child)));
     currentModelRef.current.traverse((object) => {
-      if (object.userData.gridCheckbox && object.userData.gridCheckbox.checked) {
+      if (object.userData.gridCheckbox && object.userData.gridCheckbox.checked && !blocked.has(object)) {
         selectedObjectsRef.current.push(object);
       }
     });
@@ -115,92 +160,141 @@ export const useModelLoader = (scene, camera, controls, onModelLoad, onStatusCha
     };
   }, [detectFloorLevels]);
 
-  const loadModel = useCallback((file) => {
-    if (!file || !scene || !camera || !controls) return;
-    
-    cleanUp();
-    onStatusChange('Loading model...');
-    
-    const url = URL.createObjectURL(file);
-    const gltfLoader = new GLTFLoader();
-    
-    gltfLoader.load(url, (gltf) => {
-      currentModelRef.current = gltf.scene;
-      scene.add(currentModelRef.current);
-
-      // Debug: Inspect materials and fix potential issues
-      currentModelRef.current.traverse((object) => {
-        if (object.isMesh && object.material) {
-          console.log(`Object: ${object.name}, Material type:`, object.material);
-          
-          // Check if this is the GF floor object
-          if (object.name === 'GF') {
-            console.log('GF Floor object found!');
-            console.log('Original material:', object.material);
-            console.log('Material color:', object.material.color);
-            console.log('Material type:', object.material.type);
-            
-            // Ensure the material is properly configured for white color
-            if (object.material.color) {
-              // Force white color if it appears to be white in the original
-              const currentColor = object.material.color.getHexString();
-              console.log('Current color hex:', currentColor);
-              
-              // If the material appears to be white or very light, ensure it renders as white
-              if (currentColor === 'ffffff' || currentColor === 'fffffe' || currentColor === 'fffffd') {
-                console.log('Material is already white, checking lighting setup...');
-              } else {
-                console.log('Material color is not white, setting to white...');
-                object.material.color.setHex(0xffffff);
-              }
-            }
-            
-            // Ensure material properties are set for proper white rendering
-            if (object.material.type === 'MeshStandardMaterial' || object.material.type === 'MeshPhysicalMaterial') {
-              // For PBR materials, ensure proper settings for white color
-              object.material.metalness = 0;
-              object.material.roughness = 1;
-              object.material.emissive.setHex(0x000000);
-            }
-            
-            // Force material to be unlit if it's appearing too dark
-            if (object.material.type === 'MeshStandardMaterial' || object.material.type === 'MeshPhysicalMaterial') {
-              // Convert to MeshBasicMaterial to avoid lighting calculations
-              const basicMaterial = new THREE.MeshBasicMaterial({
-                color: object.material.color,
-                map: object.material.map,
-                transparent: object.material.transparent,
-                opacity: object.material.opacity
-              });
-              object.material = basicMaterial;
-              console.log('Converted GF material to MeshBasicMaterial for unlit rendering');
-            }
-          }
-        }
-      });
+  const generateGrid = useCallback((options = {}) => {
+    const { objects, floors } = updateSelectedObjects();
+    if (objects.length === 0) {
+      onStatusChange('Select objects for grid generation first.');
+      return null;
+    }
+
+    // Every other mesh in the model is a potential obstacle, except location markers
+    const markers = new Set();
+    conventionsRef.current.pois.forEach(poi => poi.object.traverse(child => markers.add(child)));
+    const obstacles = [];
+    currentModelRef.current.traverse((object) => {
+      if (object.isMesh && !objects.includes(object) && !markers.has(object)) {
+        obstacles.push(object);
+      }
+    });
+
+    onStatusChange('Generating grid...');
+    const grid = buildGrid(objects, { floors, obstacles, ...options });
+    if (!grid) {
+      onStatusChange('No floor geometry found under the selected objects.');
+      return null;
+    }
 
-      const box = new THREE.Box3().setFromObject(currentModelRef.current);
-      const center = box.getCenter(new THREE.Vector3());
-      camera.position.set(center.x, center.y + 2, center.z + 5);
-      controls.target.copy(center);
-      controls.update();
+    const cellCount = grid.cells.reduce((total, floorCells) => total + floorCells.size, 0);
+    onStatusChange(`Grid generated: ${cellCount} cells on ${grid.floors.length} floor(s).`);
+    return grid;
+  }, [updateSelectedObjects, onStatusChange]);
 
-      const hierarchyItems = buildHierarchy(currentModelRef.current);
-      onModelLoad(hierarchyItems);
-      onStatusChange('Model loaded successfully. Select objects for grid generation.');
+  // Loads every floor of a building manifest into one group. resolveModelUrl maps a
+  // manifest floor to the URL its GLB is fetched from. models, as read by
+  // buildingCache.readBuildingModels, are parsed instead of fetching the URLs again; the URL
+  // still resolves any files a .gltf refers to.
+  const loadBuilding = useCallback(async (manifest, resolveModelUrl, models = null) => {
+    if (!manifest || !scene || !camera || !controls) return false;
 
-    }, undefined, (error) => {
+    cleanUp();
+    const loadId = ++loadIdRef.current;
+    onStatusChange(manifest.floors.length > 1
+      ? `Loading ${manifest.floors.length} floor models...`
+      : 'Loading model...');
+
+    const gltfLoader = createGltfLoader();
+    let floors;
+    try {
+      floors = await Promise.all(manifest.floors.map(async (floor) => {
+        const url = resolveModelUrl(floor);
+        const model = models?.find(candidate => candidate.floorId === floor.id);
+        const gltf = model
+          ? await gltfLoader.parseAsync(await model.blob.arrayBuffer(), THREE.LoaderUtils.extractUrlBase(url))
+          : await gltfLoader.loadAsync(url);
+        prepareFloorModel(gltf.scene);
+
+        const floorGroup = new THREE.Group();
+        floorGroup.name = floor.name;
+        floorGroup.userData.floorId = floor.id;
+        floorGroup.position.set(floor.offset.x, floor.elevation, floor.offset.z);
+        floorGroup.add(gltf.scene);
+        return { ...floor, object: floorGroup };
+      }));
+    } catch (error) {
       console.error('Error loading model:', error);
       onStatusChange('Error loading model.');
-    });
+      return false;
+    }
+
+    // A newer load started while these floors were downloading
+    if (loadId !== loadIdRef.current) return false;
+
+    const building = new THREE.Group();
+    building.name = manifest.name || 'Building';
+    floors.forEach(floor => building.add(floor.object));
+    building.updateMatrixWorld(true);
+
+    currentModelRef.current = building;
+    floorsRef.current = floors;
+    scene.add(building);
+
+    const box = new THREE.Box3().setFromObject(building);
+    const center = box.getCenter(new THREE.Vector3());
+    camera.position.set(center.x, center.y + 2, center.z + 5);
+    controls.target.copy(center);
+    controls.update();
+
+    // Surfaces the model marks as walkable start out selected for grid generation
+    const conventions = readModelConventions(building);
+    conventions.walkable.forEach(object => object.traverse(child => {
+      if (child.isMesh) {
+        child.userData.gridCheckbox = { checked: true };
+      }
+    }));
+    conventionsRef.current = conventions;
+
+    const hierarchyItems = buildHierarchy(building);
+    onModelLoad(hierarchyItems, describeFloors(floors), conventions);
+    onStatusChange('Model loaded successfully. Select objects for grid generation.');
+    return true;
   }, [scene, camera, controls, cleanUp, buildHierarchy, onModelLoad, onStatusChange]);
 
+  // A single model file is loaded as a one-floor building
+  const loadModel = useCallback(async (file) => {
+    if (!file) return false;
+
+    const url = URL.createObjectURL(file);
+    const manifest = createSingleModelManifest(file.name);
+
+    try {
+      return await loadBuilding(manifest, () => url);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }, [loadBuilding]);
+
+  const setFloorVisibility = useCallback((floorId, visible) => {
+    const floor = floorsRef.current.find(candidate => candidate.id === floorId);
+    if (floor) {
+      floor.object.visible = visible;
+    }
+  }, []);
+
+  const getFloorObject = useCallback((floorId) => {
+    const floor = floorsRef.current.find(candidate => candidate.id === floorId);
+    return floor ? floor.object : null;
+  }, []);
+
   return {
     currentModel: currentModelRef.current,
     selectedObjects: selectedObjectsRef.current,
     selectedObjectBounds: selectedObjectBoundsRef.current,
     loadModel,
+    loadBuilding,
+    setFloorVisibility,
+    getFloorObject,
     updateSelectedObjects,
+    generateGrid,
     cleanUp
   };
 };
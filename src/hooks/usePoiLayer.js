@@ -0,0 +1,56 @@
+import { useRef, useEffect } from 'react';
+import { PoiLayer } from '../utils/PoiLayer';
+
+const OCCLUSION_INTERVAL = 0.1; // seconds between line-of-sight passes
+
+// Keeps location icons and labels in the scene, sized and decluttered for the camera every
+// frame. isLocationOnShownFloor(location) limits them to the floor being looked at.
+export const usePoiLayer = (scene, camera, renderer, model, locations, originId, destinationId, isLocationOnShownFloor) => {
+  const layerRef = useRef();
+  const modelRef = useRef(model);
+
+  modelRef.current = model;
+
+  // Layer lifetime follows the scene
+  useEffect(() => {
+    if (!scene || !camera || !renderer) return;
+
+    const layer = new PoiLayer(scene);
+    layerRef.current = layer;
+
+    let frame;
+    let sinceOcclusion = OCCLUSION_INTERVAL;
+    let lastTime = performance.now();
+    const animate = (time) => {
+      frame = requestAnimationFrame(animate);
+      sinceOcclusion += (time - lastTime) / 1000;
+      lastTime = time;
+
+      if (sinceOcclusion >= OCCLUSION_INTERVAL) {
+        sinceOcclusion = 0;
+        layer.updateOcclusion(camera, modelRef.current);
+      }
+      const canvas = renderer.domElement;
+      layer.update(camera, canvas.clientWidth || 1, canvas.clientHeight || 1);
+    };
+    frame = requestAnimationFrame(animate);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      layer.destroy();
+      layerRef.current = null;
+    };
+  }, [scene, camera, renderer]);
+
+  useEffect(() => {
+    layerRef.current?.setLocations(locations);
+  }, [locations, scene, camera, renderer]);
+
+  useEffect(() => {
+    layerRef.current?.setHighlights(originId || null, destinationId || null);
+  }, [originId, destinationId, locations, scene, camera, renderer]);
+
+  useEffect(() => {
+    layerRef.current?.setFloorFilter(isLocationOnShownFloor);
+  }, [isLocationOnShownFloor, scene, camera, renderer]);
+};
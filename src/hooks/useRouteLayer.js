@@ -0,0 +1,37 @@
+import { useRef, useEffect } from 'react';
+import { RouteLayer } from '../utils/RouteLayer';
+
+// Keeps a RouteLayer in the scene in step with the active route and how far along it the
+// walker is. Passing a null route removes everything the layer drew.
+export const useRouteLayer = (scene, route, distanceTravelled, originName, destinationName, floorNames) => {
+  const layerRef = useRef();
+
+  // Layer lifetime follows the scene
+  useEffect(() => {
+    if (!scene) return;
+
+    layerRef.current = new RouteLayer(scene);
+
+    return () => {
+      layerRef.current.destroy();
+      layerRef.current = null;
+    };
+  }, [scene]);
+
+  useEffect(() => {
+    const layer = layerRef.current;
+    if (!layer) return;
+
+    if (route) {
+      layer.setRoute(route, { originName, destinationName, floorNames });
+    } else {
+      layer.clear();
+    }
+  }, [route, originName, destinationName, floorNames, scene]);
+
+  useEffect(() => {
+    if (layerRef.current) {
+      layerRef.current.setTravelled(distanceTravelled || 0);
+    }
+  }, [distanceTravelled, route]);
+};
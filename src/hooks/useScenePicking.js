@@ -0,0 +1,127 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { LocationMarkers } from '../utils/LocationMarkers';
+import { worldToCell, findNearestWalkableCell, cellToWorld } from '../utils/gridData';
+import { isShown } from '../utils/sceneObjects';
+
+const CLICK_TOLERANCE = 5; // pixels the pointer may move between down and up and still click
+const SNAP_RADIUS = 3; // cells searched around a clicked floor point for a walkable one
+
+const pointerPosition = (event) => {
+  const rect = event.target.getBoundingClientRect();
+  return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+};
+
+// Picking origins and destinations in the 3D view. Clicking a location's marker, or any
+// floor point (snapped to the nearest walkable grid cell), opens a popup at the pointer;
+// hovering a marker reports it for a tooltip. Popup targets are
+// { location } for marked locations and { point: { floor, coordinates, gridPosition } }
+// for floor points.
+export const useScenePicking = (scene, addPointerListener, model, grid, locations, enabled) => {
+  const markersRef = useRef();
+  const pressRef = useRef(null);
+  const hoveredIdRef = useRef(null);
+  const [popup, setPopup] = useState(null); // { x, y, location?, point? }
+  const [hover, setHover] = useState(null); // { x, y, location }
+
+  // Markers live as long as the scene
+  useEffect(() => {
+    if (!scene) return;
+
+    markersRef.current = new LocationMarkers(scene);
+
+    return () => {
+      markersRef.current.destroy();
+      markersRef.current = null;
+    };
+  }, [scene]);
+
+  useEffect(() => {
+    markersRef.current?.setLocations(locations);
+  }, [locations, scene]);
+
+  useEffect(() => {
+    if (!enabled) {
+      setPopup(null);
+      setHover(null);
+      hoveredIdRef.current = null;
+    }
+  }, [enabled]);
+
+  // The walkable spot under the ray, snapped onto the grid when there is one
+  const pickFloorPoint = useCallback((raycaster) => {
+    if (!model) return null;
+
+    const hit = raycaster.intersectObject(model, true).find(intersection => isShown(intersection.object));
+    if (!hit) return null;
+
+    if (!grid) {
+      return { floor: null, coordinates: hit.point.clone(), gridPosition: null };
+    }
+
+    const { floor, x, z } = worldToCell(grid, hit.point.clone().setY(hit.point.y + grid.height));
+    const cell = findNearestWalkableCell(grid, floor, x, z, SNAP_RADIUS);
+    if (!cell) return null;
+
+    return {
+      floor: cell.floor,
+      coordinates: cellToWorld(grid, cell.floor, cell.x, cell.z),
+      gridPosition: { x: cell.x, z: cell.z }
+    };
+  }, [model, grid]);
+
+  useEffect(() => {
+    if (!enabled || !addPointerListener) return;
+
+    const removeListener = addPointerListener((type, { event, raycaster }) => {
+      const markers = markersRef.current;
+      if (!markers) return;
+
+      if (type === 'down' && event.button === 0) {
+        pressRef.current = { x: event.clientX, y: event.clientY };
+        return;
+      }
+
+      if (type === 'up' && event.button === 0 && pressRef.current) {
+        const press = pressRef.current;
+        pressRef.current = null;
+        // A drag orbits the camera rather than picking
+        if (Math.hypot(event.clientX - press.x, event.clientY - press.y) > CLICK_TOLERANCE) return;
+
+        const position = pointerPosition(event);
+        const location = markers.pick(raycaster);
+        if (location) {
+          setPopup({ ...position, location });
+          return;
+        }
+        const point = pickFloorPoint(raycaster);
+        setPopup(point ? { ...position, point } : null);
+        return;
+      }
+
+      if (type === 'move' && event.buttons === 0) {
+        const location = markers.pick(raycaster);
+        const id = location ? location.id : null;
+        if (id === hoveredIdRef.current) return;
+        hoveredIdRef.current = id;
+        setHover(location ? { ...pointerPosition(event), location } : null);
+        return;
+      }
+
+      if (type === 'leave') {
+        pressRef.current = null;
+        hoveredIdRef.current = null;
+        setHover(null);
+      }
+    });
+
+    return removeListener;
+  }, [enabled, addPointerListener, pickFloorPoint]);
+
+  const closePopup = useCallback(() => setPopup(null), []);
+
+  return {
+    popup,
+    hover,
+    closePopup
+  };
+};
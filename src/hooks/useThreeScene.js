@@ -1,12 +1,16 @@
-import { useRef, useEffect } from 'react';
+import { useRef, useEffect, useCallback, useState } from 'react';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { WalkControls } from '../utils/WalkControls';
 
 export const useThreeScene = (containerRef) => {
   const sceneRef = useRef();
   const cameraRef = useRef();
   const rendererRef = useRef();
   const controlsRef = useRef();
+  const walkControlsRef = useRef();
+  const pointerListenersRef = useRef(new Set());
+  const [walkState, setWalkState] = useState({ enabled: false, locked: false });
 
   useEffect(() => {
     if (!containerRef.current) return;
@@ -26,6 +30,10 @@ export const useThreeScene = (containerRef) => {
     
     const controls = new OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
+
+    // On-foot exploration, off until setWalkMode(true)
+    const walkControls = new WalkControls(camera, renderer.domElement);
+    walkControls.onChange = setWalkState;
     
     // Keyboard controls for camera movement
     const moveSpeed = 0.5;
@@ -93,6 +101,31 @@ export const useThreeScene = (containerRef) => {
     // Add keyboard event listeners
     window.addEventListener('keydown', handleKeyDown);
     window.addEventListener('keyup', handleKeyUp);
+
+    // Pointer picking: listeners receive a raycaster already aimed from the camera through the pointer
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const createPointerHandler = (type) => (event) => {
+      if (pointerListenersRef.current.size === 0) return;
+
+      const rect = renderer.domElement.getBoundingClientRect();
+      pointer.set(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycaster.setFromCamera(pointer, camera);
+
+      pointerListenersRef.current.forEach(listener => listener(type, { event, raycaster, pointer }));
+    };
+    const pointerHandlers = {
+      pointerdown: createPointerHandler('down'),
+      pointermove: createPointerHandler('move'),
+      pointerup: createPointerHandler('up'),
+      pointerleave: createPointerHandler('leave')
+    };
+    Object.entries(pointerHandlers).forEach(([type, handler]) => {
+      renderer.domElement.addEventListener(type, handler);
+    });
     
     // Enhanced lighting setup to ensure white materials appear properly
     const ambientLight = new THREE.AmbientLight(0xffffff, 2.0); // Increased intensity
@@ -113,14 +146,27 @@ export const useThreeScene = (containerRef) => {
     cameraRef.current = camera;
     rendererRef.current = renderer;
     controlsRef.current = controls;
+    walkControlsRef.current = walkControls;
 
     // Animation loop
     const clock = new THREE.Clock();
     function animate() {
       requestAnimationFrame(animate);
       
-      // Handle keyboard movement
       const delta = clock.getDelta();
+      if (walkControls.enabled) {
+        walkControls.update(delta);
+        renderer.render(scene, camera);
+        return;
+      }
+
+      // Disabled controls mean something else is moving the camera (see CameraController)
+      if (!controls.enabled) {
+        renderer.render(scene, camera);
+        return;
+      }
+
+      // Handle keyboard movement
       const moveDistance = moveSpeed * delta;
       
       // Get camera's current direction vectors
@@ -171,17 +217,57 @@ export const useThreeScene = (containerRef) => {
       window.removeEventListener('resize', handleResize);
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
+      Object.entries(pointerHandlers).forEach(([type, handler]) => {
+        renderer.domElement.removeEventListener(type, handler);
+      });
       if (container.contains(renderer.domElement)) {
         container.removeChild(renderer.domElement);
       }
+      walkControls.dispose();
       renderer.dispose();
     };
   }, [containerRef]);
 
+  // Subscribe to canvas pointer events; returns an unsubscribe function
+  const addPointerListener = useCallback((listener) => {
+    pointerListenersRef.current.add(listener);
+    return () => pointerListenersRef.current.delete(listener);
+  }, []);
+
+  // Walk mode keeps the camera at eye height on the floor below it and stops it at walls.
+  // Orbiting resumes around the point the walker was looking at.
+  const setWalkMode = useCallback((enabled) => {
+    const walkControls = walkControlsRef.current;
+    const controls = controlsRef.current;
+    if (!walkControls || !controls) return;
+
+    if (enabled) {
+      controls.enabled = false;
+      walkControls.enable();
+    } else if (walkControls.enabled) {
+      walkControls.disable();
+      const camera = cameraRef.current;
+      const direction = camera.getWorldDirection(new THREE.Vector3());
+      controls.target.copy(camera.position).addScaledVector(direction, 2);
+      controls.enabled = true;
+      controls.update();
+    }
+  }, []);
+
+  // The meshes walk mode collides with and stands on
+  const setCollisionObject = useCallback((object) => {
+    walkControlsRef.current?.setCollisionObject(object);
+  }, []);
+
   return {
     scene: sceneRef.current,
     camera: cameraRef.current,
     renderer: rendererRef.current,
-    controls: controlsRef.current
+    controls: controlsRef.current,
+    addPointerListener,
+    isWalkMode: walkState.enabled,
+    isPointerLocked: walkState.locked,
+    setWalkMode,
+    setCollisionObject
   };
 };
@@ -1,28 +1,58 @@
 import { useRef, useEffect, useCallback } from 'react';
-import * as THREE from 'three';
-import { WalkingObject } from '../utils/WalkingObject';
+import { WalkingObject, WALKER_STYLES } from '../utils/WalkingObject';
+import { CameraController, CAMERA_MODES, TOP_DOWN_ORIENTATIONS } from '../utils/CameraController';
+import { createGltfLoader } from '../utils/gltfLoader';
 
-export const useWalkingObject = (scene, camera, controls, onStatusChange) => {
+export const useWalkingObject = (scene, camera, controls, onStatusChange, onProgress) => {
   const walkingObjectRef = useRef();
   const animationFrameRef = useRef();
   const lastTimeRef = useRef(0);
-  const cameraFollowEnabledRef = useRef(false);
-  const cameraOffsetRef = useRef({ x: 0, y: 2, z: -3 }); // Closer behind and above the object
-  const cameraTargetPositionRef = useRef(new THREE.Vector3());
-  const cameraTargetLookAtRef = useRef(new THREE.Vector3());
+  const cameraControllerRef = useRef();
+  // Camera settings survive the controller being recreated
+  const cameraSettingsRef = useRef({
+    mode: CAMERA_MODES.FOLLOW,
+    topDownOrientation: TOP_DOWN_ORIENTATIONS.NORTH_UP,
+    offset: { x: 0, y: 2, z: -3 } // Closer behind and above the object
+  });
+  // The chosen look survives the walker being recreated
+  const appearanceRef = useRef({ style: WALKER_STYLES.FIGURE, avatar: null, avatarOptions: {} });
+
+  const applyAppearance = (walkingObject) => {
+    const { style, avatar, avatarOptions } = appearanceRef.current;
+    if (style === WALKER_STYLES.AVATAR) {
+      walkingObject.setAvatar(avatar, avatarOptions);
+    } else if (style !== WALKER_STYLES.FIGURE) {
+      walkingObject.setStyle(style);
+    }
+  };
 
   // Initialize walking object
   useEffect(() => {
     if (scene) {
       walkingObjectRef.current = new WalkingObject(scene);
+      applyAppearance(walkingObjectRef.current);
+
+      const cameraSettings = cameraSettingsRef.current;
+      cameraControllerRef.current = new CameraController(camera, controls, { followOffset: cameraSettings.offset });
+      cameraControllerRef.current.setMode(cameraSettings.mode);
+      cameraControllerRef.current.setTopDownOrientation(cameraSettings.topDownOrientation);
+      cameraControllerRef.current.setTarget(walkingObjectRef.current.object);
       
       // Set up callbacks
       walkingObjectRef.current.setOnComplete(() => {
         onStatusChange('Walking animation completed!');
       });
       
-      walkingObjectRef.current.setOnProgress((currentIndex, totalSteps) => {
-        onStatusChange(`Walking progress: ${currentIndex}/${totalSteps - 1} steps`);
+      // Reported every progressInterval seconds while walking and whenever a segment ends
+      let lastSegmentIndex = -1;
+      walkingObjectRef.current.setOnProgress((progress) => {
+        if (progress.segmentIndex !== lastSegmentIndex) {
+          lastSegmentIndex = progress.segmentIndex;
+          onStatusChange(`Walking progress: ${progress.segmentIndex}/${progress.segmentCount} segments`);
+        }
+        if (onProgress) {
+          onProgress(progress);
+        }
       });
 
       // Start animation loop
@@ -33,45 +63,8 @@ export const useWalkingObject = (scene, camera, controls, onStatusChange) => {
         if (walkingObjectRef.current) {
           walkingObjectRef.current.update(deltaTime);
           
-          // Update camera to follow the walking object with smooth transitions
-          if (cameraFollowEnabledRef.current && camera && controls && walkingObjectRef.current.object) {
-            const objectPosition = walkingObjectRef.current.object.position;
-            const objectRotation = walkingObjectRef.current.object.rotation;
-            const offset = cameraOffsetRef.current;
-            
-            // Calculate desired camera position behind the object based on its rotation
-            const cameraOffset = new THREE.Vector3(offset.x, offset.y, offset.z);
-            
-            // Rotate the offset vector by the object's Y rotation to keep camera behind
-            const rotationMatrix = new THREE.Matrix4().makeRotationY(objectRotation.y);
-            cameraOffset.applyMatrix4(rotationMatrix);
-            
-            // Calculate target positions
-            const targetCameraPosition = objectPosition.clone().add(cameraOffset);
-            const targetLookAt = objectPosition.clone();
-            targetLookAt.y += 0.3; // Look at object's chest level
-            
-            // Smooth camera position interpolation (lerp factor controls smoothness)
-            const lerpFactor = Math.min(deltaTime * 8, 1); // Adjust speed with deltaTime
-            
-            // Store target positions for smooth interpolation
-            cameraTargetPositionRef.current.copy(targetCameraPosition);
-            cameraTargetLookAtRef.current.copy(targetLookAt);
-            
-            // Smoothly interpolate camera position
-            camera.position.lerp(cameraTargetPositionRef.current, lerpFactor);
-            
-            // Smoothly interpolate look-at target
-            const currentTarget = controls.target.clone();
-            currentTarget.lerp(cameraTargetLookAtRef.current, lerpFactor);
-            
-            // Update camera orientation
-            camera.lookAt(currentTarget);
-            
-            // Update controls target smoothly
-            controls.target.copy(currentTarget);
-            controls.update();
-          }
+          // Move the camera for the chosen mode once the walker has moved
+          cameraControllerRef.current?.update(deltaTime);
         }
         
         animationFrameRef.current = requestAnimationFrame(animate);
@@ -88,12 +81,16 @@ export const useWalkingObject = (scene, camera, controls, onStatusChange) => {
       if (walkingObjectRef.current) {
         walkingObjectRef.current.destroy();
       }
+      if (controls) {
+        controls.enabled = true;
+      }
+      cameraControllerRef.current = null;
     };
-  }, [scene, onStatusChange]);
+  }, [scene, camera, controls, onStatusChange, onProgress]);
 
-  const setPath = useCallback((worldPath) => {
+  const setPath = useCallback((worldPath, transitions = [], pointFloors = []) => {
     if (walkingObjectRef.current) {
-      walkingObjectRef.current.setPath(worldPath);
+      walkingObjectRef.current.setPath(worldPath, transitions, pointFloors);
       onStatusChange('Walking path set. Use controls to start animation.');
     }
   }, [onStatusChange]);
@@ -101,7 +98,7 @@ export const useWalkingObject = (scene, camera, controls, onStatusChange) => {
   const startWalking = useCallback(() => {
     if (walkingObjectRef.current) {
       walkingObjectRef.current.startWalking();
-      cameraFollowEnabledRef.current = true; // Enable camera following when walking starts
+      cameraControllerRef.current.setActive(true); // Enable camera following when walking starts
       onStatusChange('Walking animation started! Camera following enabled.');
     }
   }, [onStatusChange]);
@@ -109,7 +106,7 @@ export const useWalkingObject = (scene, camera, controls, onStatusChange) => {
   const resumeWalking = useCallback(() => {
     if (walkingObjectRef.current) {
       walkingObjectRef.current.resumeWalking();
-      cameraFollowEnabledRef.current = true; // Enable camera following when walking resumes
+      cameraControllerRef.current.setActive(true); // Enable camera following when walking resumes
       onStatusChange('Walking animation resumed! Camera following enabled.');
     }
   }, [onStatusChange]);
@@ -123,14 +120,14 @@ export const useWalkingObject = (scene, camera, controls, onStatusChange) => {
         walkingObjectRef.current.resumeWalking();
         onStatusChange('Walking animation resumed! Camera following enabled.');
       }
-      cameraFollowEnabledRef.current = true;
+      cameraControllerRef.current.setActive(true);
     }
   }, [onStatusChange]);
 
   const stopWalking = useCallback(() => {
     if (walkingObjectRef.current) {
       walkingObjectRef.current.stopWalking();
-      cameraFollowEnabledRef.current = false; // Disable camera following when walking stops
+      cameraControllerRef.current.setActive(false); // Disable camera following when walking stops
       onStatusChange('Walking animation stopped. Camera following disabled.');
     }
   }, [onStatusChange]);
@@ -163,21 +160,79 @@ export const useWalkingObject = (scene, camera, controls, onStatusChange) => {
     }
   }, [onStatusChange]);
 
+  const setProgressInterval = useCallback((seconds) => {
+    if (walkingObjectRef.current) {
+      walkingObjectRef.current.setProgressInterval(seconds);
+    }
+  }, []);
+
+  // Switches between the built-in figure, a loaded character and the markers
+  const setWalkerStyle = useCallback((style) => {
+    if (style === WALKER_STYLES.AVATAR && !appearanceRef.current.avatar) {
+      onStatusChange('Load an avatar model first.');
+      return;
+    }
+    appearanceRef.current.style = style;
+    if (walkingObjectRef.current) {
+      applyAppearance(walkingObjectRef.current);
+      onStatusChange(`Walker style set to ${style}.`);
+    }
+  }, [onStatusChange]);
+
+  // Loads a rigged glTF character from a File or URL and uses it as the walker
+  const loadAvatar = useCallback(async (source, options = {}) => {
+    if (!source) return false;
+
+    const url = typeof source === 'string' ? source : URL.createObjectURL(source);
+    try {
+      const gltf = await createGltfLoader().loadAsync(url);
+      appearanceRef.current = { style: WALKER_STYLES.AVATAR, avatar: gltf, avatarOptions: options };
+      if (walkingObjectRef.current) {
+        applyAppearance(walkingObjectRef.current);
+      }
+      const clipNames = gltf.animations.map(clip => clip.name).join(', ');
+      onStatusChange(clipNames
+        ? `Avatar loaded with animations: ${clipNames}`
+        : 'Avatar loaded (no animations, it will glide along the path).');
+      return true;
+    } catch (error) {
+      console.error('Error loading avatar:', error);
+      onStatusChange(`Error loading avatar: ${error.message}`);
+      return false;
+    } finally {
+      if (typeof source !== 'string') {
+        URL.revokeObjectURL(url);
+      }
+    }
+  }, [onStatusChange]);
+
   const enableCameraFollow = useCallback(() => {
-    cameraFollowEnabledRef.current = true;
+    cameraControllerRef.current?.setActive(true);
     onStatusChange('Camera following enabled.');
   }, [onStatusChange]);
 
   const disableCameraFollow = useCallback(() => {
-    cameraFollowEnabledRef.current = false;
+    cameraControllerRef.current?.setActive(false);
     onStatusChange('Camera following disabled.');
   }, [onStatusChange]);
 
   const setCameraOffset = useCallback((offset) => {
-    cameraOffsetRef.current = { ...offset };
+    cameraSettingsRef.current.offset = { ...offset };
+    cameraControllerRef.current?.setFollowOffset(offset);
     onStatusChange(`Camera offset updated: x=${offset.x}, y=${offset.y}, z=${offset.z}`);
   }, [onStatusChange]);
 
+  // Follow, first-person, top-down or free orbit while walking; see CameraController
+  const setCameraMode = useCallback((mode) => {
+    cameraSettingsRef.current.mode = mode;
+    cameraControllerRef.current?.setMode(mode);
+  }, []);
+
+  const setTopDownOrientation = useCallback((orientation) => {
+    cameraSettingsRef.current.topDownOrientation = orientation;
+    cameraControllerRef.current?.setTopDownOrientation(orientation);
+  }, []);
+
   return {
     setPath,
     startWalking,
@@ -188,9 +243,14 @@ export const useWalkingObject = (scene, camera, controls, onStatusChange) => {
     hideWalker,
     showWalker,
     setWalkSpeed,
+    setProgressInterval,
+    setWalkerStyle,
+    loadAvatar,
     enableCameraFollow,
     disableCameraFollow,
     setCameraOffset,
+    setCameraMode,
+    setTopDownOrientation,
     walkingObject: walkingObjectRef.current
   };
 };
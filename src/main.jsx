@@ -2,9 +2,16 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { loadStoredPreferences } from './utils/preferences'
+import { registerServiceWorker } from './utils/serviceWorker'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+registerServiceWorker()
+
+// Stored preferences are read before the first render so the app starts with them
+loadStoredPreferences().finally(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+})
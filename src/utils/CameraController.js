@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+
+export const CAMERA_MODES = {
+  FOLLOW: 'follow',
+  FIRST_PERSON: 'first-person',
+  TOP_DOWN: 'top-down',
+  ORBIT: 'orbit'
+};
+
+export const TOP_DOWN_ORIENTATIONS = {
+  NORTH_UP: 'north-up',
+  HEADING_UP: 'heading-up'
+};
+
+const DEFAULT_SETTINGS = {
+  followOffset: { x: 0, y: 2, z: -3 }, // behind and above the walker, in its own frame
+  followLookHeight: 0.3, // look at the walker's chest
+  eyeHeight: 1.25, // just below the top of the 1.4 unit figure
+  eyeForward: 0.25, // in front of the figure's head so it stays out of view
+  lookAhead: 4,
+  topDownHeight: 15,
+  transitionDuration: 0.8 // seconds to blend into a new mode
+};
+
+// How quickly each mode catches up with the walker, per second. First person has to stay
+// close enough not to drop back inside the figure.
+const SMOOTHING = {
+  [CAMERA_MODES.FOLLOW]: 8,
+  [CAMERA_MODES.FIRST_PERSON]: 20,
+  [CAMERA_MODES.TOP_DOWN]: 6
+};
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+const NORTH = new THREE.Vector3(0, 0, -1); // as in RouteInstructions
+const MIN_ORBIT_POLAR = 0.2; // radians from straight down; OrbitControls can't start exactly overhead
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+// Moves the camera for the chosen mode while a target (the walker) is being followed, and
+// hands it back to OrbitControls for free orbit or once following stops. Every change of
+// mode or of following blends from where the camera is instead of jumping.
+export class CameraController {
+  constructor(camera, controls, settings = {}) {
+    this.camera = camera;
+    this.controls = controls;
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.mode = CAMERA_MODES.FOLLOW;
+    this.topDownOrientation = TOP_DOWN_ORIENTATIONS.NORTH_UP;
+    this.target = null;
+    this.active = false;
+    this.driving = false; // whether the camera is ours rather than OrbitControls'
+    this.transition = null;
+
+    this.desiredPosition = new THREE.Vector3();
+    this.desiredLookAt = new THREE.Vector3();
+    this.desiredUp = new THREE.Vector3();
+    this.desiredQuaternion = new THREE.Quaternion();
+    this.lookMatrix = new THREE.Matrix4();
+  }
+
+  setTarget(object) {
+    this.target = object;
+  }
+
+  setMode(mode) {
+    if (!Object.values(CAMERA_MODES).includes(mode) || mode === this.mode) return;
+    this.mode = mode;
+    this.beginTransition();
+  }
+
+  setTopDownOrientation(orientation) {
+    if (orientation === this.topDownOrientation) return;
+    this.topDownOrientation = orientation;
+    if (this.mode === CAMERA_MODES.TOP_DOWN) {
+      this.beginTransition();
+    }
+  }
+
+  setFollowOffset(offset) {
+    this.settings.followOffset = { ...offset };
+  }
+
+  // Following is switched on while the walker is navigating
+  setActive(active) {
+    if (active === this.active) return;
+    this.active = active;
+    this.beginTransition();
+  }
+
+  isDriving() {
+    return this.active && this.target !== null && this.mode !== CAMERA_MODES.ORBIT;
+  }
+
+  beginTransition() {
+    if (!this.camera || !this.controls) return;
+
+    const driving = this.isDriving();
+    if (!driving && !this.driving) return; // OrbitControls has it already
+    this.driving = driving;
+
+    this.transition = {
+      elapsed: 0,
+      fromPosition: this.camera.position.clone(),
+      fromQuaternion: this.camera.quaternion.clone()
+    };
+
+    // OrbitControls would re-aim the camera every frame; it is off until handed back
+    this.controls.enabled = false;
+    if (!driving) {
+      // Settle on a pose OrbitControls can take over from
+      this.computeOrbitPose();
+    }
+  }
+
+  // Where the walker is and the direction it faces, flattened
+  getTargetFrame() {
+    const position = this.target.getWorldPosition(new THREE.Vector3());
+    const heading = this.target.rotation.y;
+    const forward = new THREE.Vector3(Math.sin(heading), 0, Math.cos(heading));
+    return { position, heading, forward };
+  }
+
+  computeDesiredPose() {
+    const { position, heading, forward } = this.getTargetFrame();
+    const { settings } = this;
+
+    switch (this.mode) {
+      case CAMERA_MODES.FIRST_PERSON:
+        this.desiredPosition.copy(position).addScaledVector(forward, settings.eyeForward);
+        this.desiredPosition.y += settings.eyeHeight;
+        this.desiredLookAt.copy(this.desiredPosition).addScaledVector(forward, settings.lookAhead);
+        this.desiredLookAt.y -= settings.eyeHeight * 0.25;
+        this.desiredUp.copy(WORLD_UP);
+        break;
+      case CAMERA_MODES.TOP_DOWN:
+        this.desiredPosition.copy(position);
+        this.desiredPosition.y += settings.topDownHeight;
+        this.desiredLookAt.copy(position);
+        this.desiredUp.copy(this.topDownOrientation === TOP_DOWN_ORIENTATIONS.HEADING_UP ? forward : NORTH);
+        break;
+      default: {
+        const { x, y, z } = settings.followOffset;
+        const offset = new THREE.Vector3(x, y, z).applyAxisAngle(WORLD_UP, heading);
+        this.desiredPosition.copy(position).add(offset);
+        this.desiredLookAt.copy(position);
+        this.desiredLookAt.y += settings.followLookHeight;
+        this.desiredUp.copy(WORLD_UP);
+      }
+    }
+
+    this.updateDesiredQuaternion();
+  }
+
+  // Free orbit keeps the camera where it is, looking at the last point it looked at, but
+  // tilts it off the vertical so a top-down view can be orbited
+  computeOrbitPose() {
+    const lookAt = this.controls.target.clone();
+    const offset = this.camera.position.clone().sub(lookAt);
+    const distance = offset.length() || 1;
+
+    if (Math.acos(THREE.MathUtils.clamp(offset.y / distance, -1, 1)) < MIN_ORBIT_POLAR) {
+      // Step back from the side of the screen that was at the bottom
+      const screenUp = new THREE.Vector3(0, 1, 0).applyQuaternion(this.camera.quaternion).setY(0);
+      if (screenUp.lengthSq() < 1e-6) {
+        screenUp.copy(NORTH);
+      }
+      screenUp.normalize();
+      offset.copy(screenUp).multiplyScalar(-Math.sin(MIN_ORBIT_POLAR * 2) * distance);
+      offset.y = Math.cos(MIN_ORBIT_POLAR * 2) * distance;
+    }
+
+    this.desiredPosition.copy(lookAt).add(offset);
+    this.desiredLookAt.copy(lookAt);
+    this.desiredUp.copy(WORLD_UP);
+    this.updateDesiredQuaternion();
+  }
+
+  updateDesiredQuaternion() {
+    this.lookMatrix.lookAt(this.desiredPosition, this.desiredLookAt, this.desiredUp);
+    this.desiredQuaternion.setFromRotationMatrix(this.lookMatrix);
+  }
+
+  update(deltaTime) {
+    if (!this.camera || !this.controls) return;
+
+    const { driving } = this;
+    if (!driving && !this.transition) return;
+
+    if (driving) {
+      this.computeDesiredPose();
+      // Orbit resumes around whatever the camera was looking at
+      this.controls.target.copy(this.desiredLookAt);
+    }
+
+    if (this.transition) {
+      this.transition.elapsed += deltaTime;
+      const t = Math.min(this.transition.elapsed / this.settings.transitionDuration, 1);
+      const eased = smoothstep(t);
+      this.camera.position.lerpVectors(this.transition.fromPosition, this.desiredPosition, eased);
+      this.camera.quaternion.slerpQuaternions(this.transition.fromQuaternion, this.desiredQuaternion, eased);
+
+      if (t >= 1) {
+        this.transition = null;
+        if (!driving) {
+          this.handBackToControls();
+        }
+      }
+      return;
+    }
+
+    const factor = Math.min(deltaTime * (SMOOTHING[this.mode] || 8), 1);
+    this.camera.position.lerp(this.desiredPosition, factor);
+    this.camera.quaternion.slerp(this.desiredQuaternion, factor);
+  }
+
+  handBackToControls() {
+    this.camera.up.copy(WORLD_UP);
+    this.controls.target.copy(this.desiredLookAt);
+    this.controls.enabled = true;
+    this.controls.update();
+  }
+}
@@ -0,0 +1,211 @@
+import * as THREE from 'three';
+import { createGrid, cellKey, parseCellKey } from './gridData';
+
+const DEFAULT_OPTIONS = {
+  cellSize: 1,
+  height: 0.1,
+  floors: null, // Floor levels from detectFloorLevels; derived from the raycast hits when omitted
+  floorTolerance: 0.5, // Max vertical distance between a hit and the floor level it belongs to
+  maxSlope: Math.PI / 6, // Steeper surfaces are not treated as floor
+  stepHeight: 0.25, // Obstacles lower than this (kerbs, thresholds) can be stepped over
+  clearance: 1.8, // Headroom required above a cell for it to be walkable
+  obstacles: [] // Objects that can block cells, e.g. walls and furniture
+};
+
+const DOWN = new THREE.Vector3(0, -1, 0);
+const UP = new THREE.Vector3(0, 1, 0);
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+const SAMPLE_OFFSETS = [[0, 0], [-0.45, -0.45], [-0.45, 0.45], [0.45, -0.45], [0.45, 0.45]];
+
+// Groups sorted heights into levels, same clustering as useModelLoader.detectFloorLevels
+const clusterHeights = (heights, tolerance) => {
+  const sorted = [...heights].sort((a, b) => a - b);
+  const levels = [];
+  let group = [];
+
+  sorted.forEach(height => {
+    if (group.length > 0 && height - group[group.length - 1] >= tolerance) {
+      levels.push(group.reduce((a, b) => a + b) / group.length);
+      group = [];
+    }
+    group.push(height);
+  });
+  if (group.length > 0) {
+    levels.push(group.reduce((a, b) => a + b) / group.length);
+  }
+
+  return levels;
+};
+
+const findNearestLevel = (levels, y, tolerance) => {
+  let nearest = -1;
+  let nearestDistance = tolerance;
+  levels.forEach((level, index) => {
+    const distance = Math.abs(level - y);
+    if (distance <= nearestDistance) {
+      nearestDistance = distance;
+      nearest = index;
+    }
+  });
+  return nearest;
+};
+
+// Casts a ray down each cell column and returns the upward-facing floor hits
+const sampleFloorHits = (raycaster, floorObjects, bounds, options) => {
+  const { cellSize, maxSlope } = options;
+  const minNormalY = Math.cos(maxSlope);
+  const normal = new THREE.Vector3();
+  const origin = new THREE.Vector3();
+  const samples = [];
+
+  const minX = Math.floor(bounds.min.x / cellSize);
+  const maxX = Math.floor(bounds.max.x / cellSize);
+  const minZ = Math.floor(bounds.min.z / cellSize);
+  const maxZ = Math.floor(bounds.max.z / cellSize);
+  const top = bounds.max.y + 1;
+
+  raycaster.far = Infinity;
+
+  for (let x = minX; x <= maxX; x++) {
+    for (let z = minZ; z <= maxZ; z++) {
+      origin.set((x + 0.5) * cellSize, top, (z + 0.5) * cellSize);
+      raycaster.set(origin, DOWN);
+
+      raycaster.intersectObjects(floorObjects, true).forEach(hit => {
+        if (!hit.face) return;
+        normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+        if (normal.y < minNormalY) return;
+        samples.push({ x, z, y: hit.point.y });
+      });
+    }
+  }
+
+  return { samples, minX, maxX, minZ, maxZ };
+};
+
+const hitsAny = (raycaster, obstacles, origin, direction, far) => {
+  raycaster.set(origin, direction);
+  raycaster.far = far;
+  return raycaster.intersectObjects(obstacles, true).length > 0;
+};
+
+// A cell is obstructed when anything sits between stepHeight and clearance above it.
+// Vertical rays catch obstacles over the cell; horizontal rays across the cell catch
+// thin walls that fall between the vertical samples.
+const isObstructed = (raycaster, obstacles, x, y, z, options) => {
+  if (obstacles.length === 0) return false;
+
+  const { cellSize, stepHeight, clearance } = options;
+  const centerX = (x + 0.5) * cellSize;
+  const centerZ = (z + 0.5) * cellSize;
+  const headroom = Math.max(clearance - stepHeight, 0);
+  const origin = new THREE.Vector3();
+
+  const blockedAbove = SAMPLE_OFFSETS.some(([offsetX, offsetZ]) => {
+    origin.set(centerX + offsetX * cellSize, y + stepHeight, centerZ + offsetZ * cellSize);
+    return hitsAny(raycaster, obstacles, origin, UP, headroom);
+  });
+  if (blockedAbove) return true;
+
+  return [y + stepHeight + 0.05, y + clearance / 2].some(sampleY => {
+    origin.set(x * cellSize, sampleY, centerZ);
+    if (hitsAny(raycaster, obstacles, origin, X_AXIS, cellSize)) return true;
+    origin.set(centerX, sampleY, z * cellSize);
+    return hitsAny(raycaster, obstacles, origin, Z_AXIS, cellSize);
+  });
+};
+
+// Rays that start inside a closed mesh only see its back faces, so obstacle tests
+// run with every obstacle material temporarily double sided
+const withDoubleSidedMaterials = (objects, callback) => {
+  const originalSides = new Map();
+  objects.forEach(root => root.traverse(object => {
+    if (!object.isMesh || !object.material) return;
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.forEach(material => {
+      if (!originalSides.has(material)) {
+        originalSides.set(material, material.side);
+        material.side = THREE.DoubleSide;
+      }
+    });
+  }));
+
+  try {
+    return callback();
+  } finally {
+    originalSides.forEach((side, material) => {
+      material.side = side;
+    });
+  }
+};
+
+// Builds a grid (same structure as grid.json) by raycasting the selected floor meshes.
+// Cells are only created where floor geometry exists, one set of cells per detected floor.
+export const buildGrid = (floorObjects, userOptions = {}) => {
+  const options = { ...DEFAULT_OPTIONS, ...userOptions };
+  if (!floorObjects || floorObjects.length === 0) {
+    return null;
+  }
+
+  floorObjects.forEach(object => object.updateMatrixWorld(true));
+  options.obstacles.forEach(object => object.updateMatrixWorld(true));
+
+  const bounds = new THREE.Box3();
+  floorObjects.forEach(object => bounds.expandByObject(object));
+  if (bounds.isEmpty()) {
+    return null;
+  }
+
+  const raycaster = new THREE.Raycaster();
+  const { samples, minX, maxX, minZ, maxZ } = sampleFloorHits(raycaster, floorObjects, bounds, options);
+  if (samples.length === 0) {
+    return null;
+  }
+
+  const floors = options.floors && options.floors.length > 0
+    ? [...options.floors].sort((a, b) => a - b)
+    : clusterHeights(samples.map(sample => sample.y), options.floorTolerance);
+
+  // Floor surfaces are the highest hit per cell and level
+  const surfaces = floors.map(() => new Map());
+  samples.forEach(sample => {
+    const level = findNearestLevel(floors, sample.y, options.floorTolerance);
+    if (level === -1) return;
+    const key = cellKey(sample.x, sample.z);
+    const existing = surfaces[level].get(key);
+    if (existing === undefined || sample.y > existing) {
+      surfaces[level].set(key, sample.y);
+    }
+  });
+
+  // Obstacles include the floor meshes themselves so an upper slab blocks low headroom
+  const obstacles = [...options.obstacles, ...floorObjects];
+
+  const levels = withDoubleSidedMaterials(obstacles, () => {
+    const result = [];
+    surfaces.forEach(levelSurfaces => {
+      if (levelSurfaces.size === 0) return;
+
+      const floorCells = new Map();
+      let totalHeight = 0;
+      levelSurfaces.forEach((y, key) => {
+        const { x, z } = parseCellKey(key);
+        floorCells.set(key, !isObstructed(raycaster, obstacles, x, y, z, options));
+        totalHeight += y;
+      });
+
+      result.push({ height: totalHeight / levelSurfaces.size, cells: floorCells });
+    });
+    return result;
+  });
+
+  return createGrid({
+    size: Math.max(maxX - minX + 1, maxZ - minZ + 1),
+    cellSize: options.cellSize,
+    height: options.height,
+    floors: levels.map(level => level.height),
+    currentFloor: 0,
+    cells: levels.map(level => level.cells)
+  });
+};
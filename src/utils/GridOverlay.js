@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+import { parseCellKey } from './gridData';
+
+const WALKABLE_COLOR = new THREE.Color(0x2ecc71);
+const BLOCKED_COLOR = new THREE.Color(0xe74c3c);
+const STEP_COLOR = new THREE.Color(0xe67e22);
+const CONNECTOR_COLOR = 0xf1c40f;
+
+export class GridOverlay {
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.name = 'GridOverlay';
+    this.group.visible = false;
+    this.mesh = null;
+    this.connectorMarkers = [];
+    this.grid = null;
+    this.floor = 0;
+    this.pickPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+    this.scene.add(this.group);
+  }
+
+  update(grid, floor = 0) {
+    this.grid = grid;
+    this.floor = floor;
+    this.clearMesh();
+
+    if (!grid || !grid.cells[floor]) return;
+
+    const floorCells = grid.cells[floor];
+    const y = grid.floors[floor] + grid.height + 0.01;
+    this.pickPlane.constant = -y;
+
+    if (floorCells.size === 0) return;
+
+    const geometry = new THREE.PlaneGeometry(grid.cellSize * 0.92, grid.cellSize * 0.92);
+    geometry.rotateX(-Math.PI / 2);
+    const material = new THREE.MeshBasicMaterial({
+      transparent: true,
+      opacity: 0.45,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+
+    const mesh = new THREE.InstancedMesh(geometry, material, floorCells.size);
+    const floorAttributes = grid.attributes?.[floor];
+    const matrix = new THREE.Matrix4();
+    let index = 0;
+    floorCells.forEach((walkable, key) => {
+      const { x, z } = parseCellKey(key);
+      const hasStep = floorAttributes?.get(key)?.stepFree === false;
+      matrix.makeTranslation((x + 0.5) * grid.cellSize, y, (z + 0.5) * grid.cellSize);
+      mesh.setMatrixAt(index, matrix);
+      mesh.setColorAt(index, walkable ? (hasStep ? STEP_COLOR : WALKABLE_COLOR) : BLOCKED_COLOR);
+      index++;
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    if (mesh.instanceColor) {
+      mesh.instanceColor.needsUpdate = true;
+    }
+    mesh.renderOrder = 1;
+
+    this.mesh = mesh;
+    this.group.add(mesh);
+
+    this.addConnectorMarkers(grid, floor, y);
+  }
+
+  // Posts on every connector end that lies on this floor
+  addConnectorMarkers(grid, floor, y) {
+    (grid.connectors || []).forEach(connector => {
+      [connector.from, connector.to].forEach(end => {
+        if (end.floor !== floor) return;
+
+        const geometry = new THREE.CylinderGeometry(grid.cellSize * 0.2, grid.cellSize * 0.2, 0.6, 12);
+        const material = new THREE.MeshBasicMaterial({ color: CONNECTOR_COLOR });
+        const marker = new THREE.Mesh(geometry, material);
+        marker.position.set((end.x + 0.5) * grid.cellSize, y + 0.3, (end.z + 0.5) * grid.cellSize);
+        marker.name = connector.name || connector.type;
+        this.connectorMarkers.push(marker);
+        this.group.add(marker);
+      });
+    });
+  }
+
+  // Returns the { floor, x, z } cell under the ray on the overlay's floor, or null
+  pickCell(raycaster) {
+    if (!this.grid) return null;
+
+    const point = new THREE.Vector3();
+    if (!raycaster.ray.intersectPlane(this.pickPlane, point)) return null;
+
+    return {
+      floor: this.floor,
+      x: Math.floor(point.x / this.grid.cellSize),
+      z: Math.floor(point.z / this.grid.cellSize)
+    };
+  }
+
+  show() {
+    this.group.visible = true;
+  }
+
+  hide() {
+    this.group.visible = false;
+  }
+
+  clearMesh() {
+    if (this.mesh) {
+      this.group.remove(this.mesh);
+      this.mesh.geometry.dispose();
+      this.mesh.material.dispose();
+      this.mesh.dispose();
+      this.mesh = null;
+    }
+    this.connectorMarkers.forEach(marker => {
+      this.group.remove(marker);
+      marker.geometry.dispose();
+      marker.material.dispose();
+    });
+    this.connectorMarkers = [];
+  }
+
+  destroy() {
+    this.clearMesh();
+    if (this.scene) {
+      this.scene.remove(this.group);
+    }
+  }
+}
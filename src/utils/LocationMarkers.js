@@ -0,0 +1,82 @@
+import * as THREE from 'three';
+
+const MARKER_COLOR = 0x34495e;
+const HIT_RADIUS = 0.35; // generous, so small pins are easy to click
+
+// A small pin on every marked location that pointer rays can pick
+export class LocationMarkers {
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.name = 'LocationMarkers';
+    this.markers = new Map(); // location id -> marker group
+
+    const pointGeometry = new THREE.ConeGeometry(0.07, 0.35, 16);
+    pointGeometry.rotateX(Math.PI);
+    pointGeometry.translate(0, 0.25, 0);
+    const headGeometry = new THREE.SphereGeometry(0.11, 16, 12);
+    headGeometry.translate(0, 0.48, 0);
+    const hitGeometry = new THREE.SphereGeometry(HIT_RADIUS, 8, 6);
+    hitGeometry.translate(0, 0.35, 0);
+    this.geometries = { point: pointGeometry, head: headGeometry, hit: hitGeometry };
+    this.materials = {
+      marker: new THREE.MeshStandardMaterial({ color: MARKER_COLOR }),
+      hit: new THREE.MeshBasicMaterial({ visible: false })
+    };
+
+    this.scene.add(this.group);
+  }
+
+  setLocations(locations) {
+    this.clear();
+    locations.forEach(location => {
+      const marker = new THREE.Group();
+      marker.position.set(location.coordinates.x, location.coordinates.y, location.coordinates.z);
+      marker.add(new THREE.Mesh(this.geometries.point, this.materials.marker));
+      marker.add(new THREE.Mesh(this.geometries.head, this.materials.marker));
+
+      const hitArea = new THREE.Mesh(this.geometries.hit, this.materials.hit);
+      hitArea.userData.location = location;
+      marker.add(hitArea);
+
+      this.markers.set(location.id, marker);
+      this.group.add(marker);
+    });
+  }
+
+  // The location whose marker is under the ray, or null
+  pick(raycaster) {
+    if (!this.group.visible) return null;
+
+    const hitAreas = [];
+    this.markers.forEach(marker => {
+      if (marker.visible) {
+        hitAreas.push(marker.children[marker.children.length - 1]);
+      }
+    });
+    const hit = raycaster.intersectObjects(hitAreas, false)[0];
+    return hit ? hit.object.userData.location : null;
+  }
+
+  show() {
+    this.group.visible = true;
+  }
+
+  hide() {
+    this.group.visible = false;
+  }
+
+  clear() {
+    this.group.clear();
+    this.markers.clear();
+  }
+
+  destroy() {
+    this.clear();
+    Object.values(this.geometries).forEach(geometry => geometry.dispose());
+    Object.values(this.materials).forEach(material => material.dispose());
+    if (this.scene) {
+      this.scene.remove(this.group);
+    }
+  }
+}
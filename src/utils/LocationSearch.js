@@ -0,0 +1,164 @@
+import { LOCATION_CATEGORIES } from './locationData';
+import { findBuildingFloorForHeight } from './buildingManifest';
+
+// How much a match in each field counts towards a location's score
+const FIELD_WEIGHTS = {
+  name: 1,
+  aliases: 0.95,
+  category: 0.8,
+  tags: 0.7,
+  description: 0.5
+};
+
+const MIN_TYPO_LENGTH = 4; // shorter terms must be spelled right
+const NEAREST_PATTERN = /^(?:(?:the\s+)?(?:nearest|closest)|nearby)\s+(.+)$/;
+const NEAR_ME_PATTERN = /^(.+?)\s+near(?:by|\s+me|\s+here)?$/;
+
+// Lower case without accents, so "Café" matches "cafe"
+const normalizeText = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+const splitTerms = (text) => normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean);
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Whether the letters of term appear in order in text, e.g. "rcpt" in "reception"
+const isSubsequence = (term, text) => {
+  let index = 0;
+  for (const character of text) {
+    if (character === term[index]) index++;
+    if (index === term.length) return true;
+  }
+  return false;
+};
+
+// 0..1 for how well one search term matches a piece of text: whole words beat word
+// prefixes, which beat substrings, then near misses and abbreviations
+const scoreTerm = (term, text) => {
+  const words = splitTerms(text);
+  if (words.includes(term)) return 1;
+  if (words.some(word => word.startsWith(term))) return 0.9;
+
+  const joined = words.join(' ');
+  if (joined.includes(term)) return 0.7;
+
+  if (term.length >= MIN_TYPO_LENGTH) {
+    const allowed = term.length > 6 ? 2 : 1;
+    const closest = Math.min(...words.map(word =>
+      editDistance(term, word.slice(0, term.length + allowed))));
+    if (closest <= allowed) return 0.6 - 0.1 * closest;
+  }
+
+  if (term.length >= 2 && words[0]?.[0] === term[0] && isSubsequence(term, joined)) return 0.3;
+  return 0;
+};
+
+// The text of each searchable field of a location
+const searchableFields = (location) => {
+  const category = LOCATION_CATEGORIES[location.category];
+  return {
+    name: [location.name],
+    aliases: location.aliases || [],
+    category: location.category
+      ? [location.category, ...(category ? [category.label, ...category.keywords] : [])]
+      : [],
+    tags: location.tags || [],
+    description: location.description ? [location.description] : []
+  };
+};
+
+// 0 when some term matches nothing, otherwise higher for better matches in more
+// important fields
+export const scoreLocation = (location, query) => {
+  const terms = splitTerms(query);
+  if (terms.length === 0) return 1;
+
+  const fields = searchableFields(location);
+  let total = 0;
+  for (const term of terms) {
+    let best = 0;
+    Object.entries(fields).forEach(([field, texts]) => {
+      texts.forEach(text => {
+        best = Math.max(best, scoreTerm(term, text) * FIELD_WEIGHTS[field]);
+      });
+    });
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total / terms.length;
+};
+
+// Locations matching the query, best first, limited to one category when given.
+// An empty query keeps the original order.
+export const searchLocations = (locations, query, { category = null } = {}) => {
+  const inCategory = category ? locations.filter(location => location.category === category) : locations;
+  if (splitTerms(query).length === 0) return inCategory;
+
+  return inCategory
+    .map((location, index) => ({ location, index, score: scoreLocation(location, query) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(result => result.location);
+};
+
+// The category a phrase such as "toilets" or "Lifts" names, or null
+export const findCategory = (text) => {
+  const phrase = splitTerms(text).join(' ');
+  if (!phrase) return null;
+
+  const singular = phrase.replace(/ies$/, 'y').replace(/(?<=[a-z]{3})(?:es|s)$/, '');
+  const names = (id, category) => [id, normalizeText(category.label), ...category.keywords];
+  const entry = Object.entries(LOCATION_CATEGORIES).find(([id, category]) =>
+    names(id, category).some(name => name === phrase || name === singular || `${name}s` === phrase));
+  return entry ? entry[0] : null;
+};
+
+// Reads "nearest restroom", "closest lift" or "cafe near me" as
+// { category, query }: the category named, if any, and the words left to search for.
+// Returns null for ordinary searches.
+export const parseNearestQuery = (query) => {
+  const text = normalizeText(query);
+  const match = text.match(NEAREST_PATTERN) || text.match(NEAR_ME_PATTERN);
+  if (!match) return null;
+
+  const category = findCategory(match[1]);
+  return { category, query: category ? '' : match[1] };
+};
+
+// Candidates ordered by measure(location), a distance or null when it can't be measured;
+// unmeasured locations come last in their original order
+export const rankByDistance = (locations, measure) => locations
+  .map((location, index) => ({ location, index, distance: measure(location) }))
+  .sort((a, b) => (a.distance === null) - (b.distance === null) ||
+    (a.distance ?? 0) - (b.distance ?? 0) || a.index - b.index);
+
+// The building floor a location is on: its own floorId, or the floor at its height
+export const getLocationFloorId = (location, buildingFloors) =>
+  location.floorId ?? findBuildingFloorForHeight(buildingFloors, location.coordinates.y)?.id ?? null;
+
+// [{ floor, locations }] in building floor order, with locations on no known floor last
+// under a null floor. Order within each group is kept.
+export const groupLocationsByFloor = (locations, buildingFloors) => {
+  const groups = new Map(buildingFloors.map(floor => [floor.id, { floor, locations: [] }]));
+  const unplaced = { floor: null, locations: [] };
+
+  locations.forEach(location => {
+    const group = groups.get(getLocationFloorId(location, buildingFloors)) || unplaced;
+    group.locations.push(location);
+  });
+
+  return [...groups.values(), unplaced].filter(group => group.locations.length > 0);
+};
@@ -0,0 +1,306 @@
+import * as THREE from 'three';
+import {
+  CONNECTOR_TYPES,
+  createConnector,
+  findNearestWalkableCell,
+  setCellWalkable,
+  worldToCell
+} from './gridData';
+import { findBuildingFloorForHeight } from './buildingManifest';
+
+// Navigation data authored in the modelling tool and carried in the glTF. A node takes a
+// role from its name prefix, or from a "nav" key in its glTF extras (which the loader puts
+// in userData):
+//
+//   POI_Main_Reception    location "Main Reception"
+//   WALKABLE_Lobby        floor surface the grid is generated on
+//   OBSTACLE_Desk         blocks the cells around it and is never walked on
+//   STAIRS_North          connector between the floors it spans; also LIFT_, ELEVATOR_
+//                         and ESCALATOR_
+//
+// Extras can name the node and fill in what a name can't, e.g. on a POI
+// { "nav": "poi", "name": "Main Reception", "category": "reception", "tags": ["desk"],
+//   "aliases": ["front desk"], "description": "Ground floor, by the main doors" }
+// and on a connector { "nav": "stairs", "cost": 12, "stepFree": false, "width": 1.2 }.
+// Everything below a node with a role belongs to it.
+
+export const MODEL_NODE_ROLES = {
+  POI: 'poi',
+  WALKABLE: 'walkable',
+  OBSTACLE: 'obstacle',
+  CONNECTOR: 'connector'
+};
+
+// Name prefix or extras "nav" value -> role (and connector type)
+const ROLE_KEYWORDS = {
+  poi: { role: MODEL_NODE_ROLES.POI },
+  walkable: { role: MODEL_NODE_ROLES.WALKABLE },
+  obstacle: { role: MODEL_NODE_ROLES.OBSTACLE },
+  stairs: { role: MODEL_NODE_ROLES.CONNECTOR, type: CONNECTOR_TYPES.STAIRS },
+  lift: { role: MODEL_NODE_ROLES.CONNECTOR, type: CONNECTOR_TYPES.LIFT },
+  elevator: { role: MODEL_NODE_ROLES.CONNECTOR, type: CONNECTOR_TYPES.LIFT },
+  escalator: { role: MODEL_NODE_ROLES.CONNECTOR, type: CONNECTOR_TYPES.ESCALATOR }
+};
+
+// Prefixes are upper case so ordinary names like "Stairs" aren't picked up by accident
+const NAME_PATTERN = /^([A-Z]+)_(.*)$/;
+
+// Locations and connectors taken from the model carry this id prefix, so applying the model
+// again replaces them without touching anything authored in the app
+const MODEL_ID_PREFIX = 'model_';
+
+// Share of a connector's height whose vertices count as its bottom or top end
+const CONNECTOR_END_BAND = 0.1;
+const FLOOR_TOLERANCE = 0.5;
+
+export const isModelDerivedId = (id) => typeof id === 'string' && id.startsWith(MODEL_ID_PREFIX);
+
+const toModelId = (value) => MODEL_ID_PREFIX + String(value).trim().toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const readString = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+
+const readList = (value) => {
+  if (typeof value === 'string') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim() !== '') : [];
+};
+
+const readNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : undefined);
+
+// { role, type, name, extras } for a node with a navigation role, otherwise null
+export const getNodeConvention = (object) => {
+  const extras = object.userData || {};
+  const nameMatch = NAME_PATTERN.exec(object.name || '');
+  const keyword = typeof extras.nav === 'string' ? extras.nav.toLowerCase() : nameMatch?.[1].toLowerCase();
+  const match = ROLE_KEYWORDS[keyword];
+  if (!match) return null;
+
+  // The loader turns spaces in node names into underscores
+  const nameFromNode = nameMatch && ROLE_KEYWORDS[nameMatch[1].toLowerCase()]
+    ? nameMatch[2].replace(/_+/g, ' ').trim()
+    : '';
+  return {
+    ...match,
+    name: readString(extras.name) || nameFromNode || object.name,
+    extras
+  };
+};
+
+// Averages the world-space vertices at the bottom and at the top of a connector's geometry,
+// which for stairs and escalators lands on the two landings. null without geometry.
+const findConnectorEnds = (object) => {
+  const box = new THREE.Box3().setFromObject(object);
+  if (box.isEmpty()) return null;
+
+  const band = Math.max((box.max.y - box.min.y) * CONNECTOR_END_BAND, 0.05);
+  const bottom = { x: 0, z: 0, count: 0 };
+  const top = { x: 0, z: 0, count: 0 };
+  const vertex = new THREE.Vector3();
+  object.traverse(child => {
+    const positions = child.isMesh ? child.geometry?.attributes.position : null;
+    if (!positions) return;
+    for (let i = 0; i < positions.count; i++) {
+      vertex.fromBufferAttribute(positions, i).applyMatrix4(child.matrixWorld);
+      [[bottom, vertex.y <= box.min.y + band], [top, vertex.y >= box.max.y - band]].forEach(([end, isInBand]) => {
+        if (!isInBand) return;
+        end.x += vertex.x;
+        end.z += vertex.z;
+        end.count++;
+      });
+    }
+  });
+
+  const center = box.getCenter(new THREE.Vector3());
+  const average = (end, y) => (end.count > 0
+    ? new THREE.Vector3(end.x / end.count, y, end.z / end.count)
+    : new THREE.Vector3(center.x, y, center.z));
+  return { bottom: average(bottom, box.min.y), top: average(top, box.max.y), center };
+};
+
+// A POI marker stands where its geometry meets the floor, an empty where it is placed
+const findPoiPosition = (object) => {
+  const box = new THREE.Box3().setFromObject(object);
+  if (box.isEmpty()) {
+    return object.getWorldPosition(new THREE.Vector3());
+  }
+  return new THREE.Vector3((box.min.x + box.max.x) / 2, box.min.y, (box.min.z + box.max.z) / 2);
+};
+
+// Collects the nodes of a loaded model that carry a navigation role:
+// { pois, walkable, obstacles, connectors, warnings }. walkable and obstacles are the
+// nodes themselves; pois and connectors are described for createModelLocations and
+// applyModelConnectors.
+export const readModelConventions = (model) => {
+  const conventions = { pois: [], walkable: [], obstacles: [], connectors: [], warnings: [] };
+  if (!model) return conventions;
+  model.updateMatrixWorld(true);
+
+  const usedIds = new Set();
+  const uniqueId = (value) => {
+    let id = toModelId(value);
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+      id = `${toModelId(value)}_${suffix}`;
+    }
+    usedIds.add(id);
+    return id;
+  };
+
+  const visit = (object) => {
+    const convention = getNodeConvention(object);
+    if (!convention) {
+      object.children.forEach(visit);
+      return;
+    }
+
+    const { extras } = convention;
+    switch (convention.role) {
+      case MODEL_NODE_ROLES.POI:
+        conventions.pois.push({
+          object,
+          id: uniqueId(readString(extras.id) || convention.name),
+          name: convention.name,
+          description: readString(extras.description) || '',
+          category: readString(extras.category)?.toLowerCase() || null,
+          tags: readList(extras.tags),
+          aliases: readList(extras.aliases),
+          position: findPoiPosition(object)
+        });
+        break;
+      case MODEL_NODE_ROLES.WALKABLE:
+        conventions.walkable.push(object);
+        break;
+      case MODEL_NODE_ROLES.OBSTACLE:
+        conventions.obstacles.push(object);
+        break;
+      case MODEL_NODE_ROLES.CONNECTOR: {
+        const ends = findConnectorEnds(object);
+        if (!ends) {
+          conventions.warnings.push(`${object.name} has no geometry to place its connector by`);
+          break;
+        }
+        if (extras.cost !== undefined && !(extras.cost > 0)) {
+          conventions.warnings.push(`${object.name} has a cost that is not a positive number; the ${convention.type} default is used`);
+        }
+        conventions.connectors.push({
+          object,
+          id: uniqueId(readString(extras.id) || `${convention.type} ${convention.name}`),
+          name: convention.name,
+          type: convention.type,
+          cost: extras.cost > 0 ? readNumber(extras.cost) : undefined,
+          stepFree: typeof extras.stepFree === 'boolean' ? extras.stepFree : undefined,
+          width: readNumber(extras.width),
+          bidirectional: extras.bidirectional !== false,
+          ends
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  };
+  visit(model);
+
+  return conventions;
+};
+
+export const hasModelConventions = (conventions) => Boolean(conventions) &&
+  conventions.pois.length + conventions.walkable.length + conventions.obstacles.length + conventions.connectors.length > 0;
+
+// Locations for the model's POIs, in the same shape as ones placed in the app. With a grid
+// they stand on the grid floor nearest to their marker; without one gridPosition is null.
+export const createModelLocations = (pois, grid, buildingFloors = []) => pois.map(poi => {
+  const { position } = poi;
+  let coordinates = { x: position.x, y: position.y, z: position.z };
+  let gridPosition = null;
+  let floorId = findBuildingFloorForHeight(buildingFloors, position.y)?.id ?? null;
+
+  if (grid) {
+    const cell = worldToCell(grid, position);
+    coordinates = { ...coordinates, y: grid.floors[cell.floor] + grid.height };
+    gridPosition = { x: cell.x, z: cell.z };
+    floorId = grid.floorIds[cell.floor] ?? floorId;
+  }
+
+  return {
+    id: poi.id,
+    name: poi.name,
+    description: poi.description,
+    category: poi.category,
+    tags: poi.tags,
+    aliases: poi.aliases,
+    floorId,
+    coordinates,
+    gridPosition,
+    timestamp: new Date().toISOString()
+  };
+});
+
+const findEndCell = (grid, floor, point) => {
+  const { x, z } = worldToCell(grid, point);
+  return findNearestWalkableCell(grid, floor, x, z) || { floor, x, z };
+};
+
+// Grid with the model's connectors in place of those taken from it before. A connector
+// links each pair of neighbouring grid floors its geometry spans, from the bottom landing
+// on the lowest floor to the top landing on the highest. Returns { grid, skipped } where
+// skipped names connectors that span fewer than two grid floors. The grid passed in is left
+// as it is; floors whose cells change are copied.
+export const applyModelConnectors = (grid, connectors) => {
+  const skipped = [];
+  const created = [];
+  const cells = [...grid.cells];
+  const copiedFloors = new Set();
+  const nextGrid = { ...grid, cells };
+  const openCell = ({ floor, x, z }) => {
+    if (!copiedFloors.has(floor)) {
+      cells[floor] = new Map(cells[floor]);
+      copiedFloors.add(floor);
+    }
+    setCellWalkable(nextGrid, floor, x, z, true);
+  };
+
+  connectors.forEach(connector => {
+    const { bottom, top, center } = connector.ends;
+    const floors = nextGrid.floors
+      .map((height, index) => ({ height: height + nextGrid.height, index }))
+      .filter(({ height }) => height >= bottom.y - FLOOR_TOLERANCE && height <= top.y + FLOOR_TOLERANCE)
+      .sort((a, b) => a.height - b.height)
+      .map(({ index }) => index);
+    if (floors.length < 2) {
+      skipped.push(connector.name);
+      return;
+    }
+
+    for (let i = 0; i < floors.length - 1; i++) {
+      const from = findEndCell(nextGrid, floors[i], i === 0 ? bottom : center);
+      const to = findEndCell(nextGrid, floors[i + 1], i + 1 === floors.length - 1 ? top : center);
+      // Both ends must be walkable for the pathfinder to use the connector
+      openCell(from);
+      openCell(to);
+      created.push({
+        ...createConnector({
+          name: connector.name,
+          type: connector.type,
+          from,
+          to,
+          cost: connector.cost,
+          bidirectional: connector.bidirectional,
+          stepFree: connector.stepFree,
+          width: connector.width
+        }),
+        id: floors.length > 2 ? `${connector.id}_${i + 1}` : connector.id
+      });
+    }
+  });
+
+  return {
+    grid: {
+      ...nextGrid,
+      connectors: [...grid.connectors.filter(connector => !isModelDerivedId(connector.id)), ...created]
+    },
+    skipped
+  };
+};
@@ -0,0 +1,470 @@
+import * as THREE from 'three';
+import {
+  CONNECTOR_TYPES,
+  isCellWalkable,
+  cellKey,
+  getCellAttributes,
+  measureCellClearance,
+  cellToWorld,
+  locationToCell
+} from './gridData';
+
+const SQRT2 = Math.SQRT2;
+
+// Cost models for route choice:
+//   stepFreeOnly     skip cells and connectors that are not step-free
+//   minClearance     skip cells narrower than this many metres
+//   connectorFactors multiply the cost of a connector type
+// Costs are in metres: walking costs the distance covered, a connector its authored cost.
+export const ROUTE_PROFILES = {
+  standard: {
+    label: 'Standard',
+    description: 'Shortest walking route',
+    stepFreeOnly: false,
+    minClearance: 0,
+    connectorFactors: {}
+  },
+  stepFree: {
+    label: 'Step-free',
+    description: 'No stairs, escalators or steps',
+    stepFreeOnly: true,
+    minClearance: 0,
+    connectorFactors: {}
+  },
+  avoidStairs: {
+    label: 'Avoid stairs',
+    description: 'Prefer lifts and escalators over stairs',
+    stepFreeOnly: false,
+    minClearance: 0,
+    connectorFactors: { [CONNECTOR_TYPES.STAIRS]: 10 }
+  },
+  wide: {
+    label: 'Wide path',
+    description: 'Avoid narrow corridors and doors',
+    stepFreeOnly: false,
+    minClearance: 1.5,
+    connectorFactors: {}
+  }
+};
+
+export const DEFAULT_ROUTE_PROFILE = 'standard';
+
+// 8-directional moves: orthogonal first, then diagonals
+const DIRECTIONS = [
+  { dx: 1, dz: 0, cost: 1 },
+  { dx: -1, dz: 0, cost: 1 },
+  { dx: 0, dz: 1, cost: 1 },
+  { dx: 0, dz: -1, cost: 1 },
+  { dx: 1, dz: 1, cost: SQRT2 },
+  { dx: 1, dz: -1, cost: SQRT2 },
+  { dx: -1, dz: 1, cost: SQRT2 },
+  { dx: -1, dz: -1, cost: SQRT2 }
+];
+
+const nodeKey = (node) => `${node.floor}:${node.x},${node.z}`;
+
+// Maps each connector end cell to the connectors that can be entered from it
+const buildConnectorIndex = (grid) => {
+  const index = new Map();
+  const addEdge = (fromCell, toCell, connector) => {
+    const key = nodeKey(fromCell);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push({ node: { ...toCell }, connector });
+  };
+
+  (grid.connectors || []).forEach(connector => {
+    addEdge(connector.from, connector.to, connector);
+    if (connector.bidirectional) {
+      addEdge(connector.to, connector.from, connector);
+    }
+  });
+
+  return index;
+};
+
+const getConnectorCost = (connector, profile) =>
+  connector.cost * (profile.connectorFactors[connector.type] ?? 1);
+
+// Octile distance in metres, the cheapest 8-directional walk between two cells on one floor
+const planarDistance = (grid, a, b) => {
+  const dx = Math.abs(a.x - b.x);
+  const dz = Math.abs(a.z - b.z);
+  return ((dx + dz) + (SQRT2 - 2) * Math.min(dx, dz)) * grid.cellSize;
+};
+
+// A* heuristic towards `end` that stays admissible across floors. A connector may cost less
+// than the distance between its ends (escalator landings are metres apart), so the planar
+// distance alone can overestimate. Instead every connector end gets a lower bound on the
+// cost to the end, found by Dijkstra over the connector ends with walking between two
+// cells on a floor taken as their planar distance; a cell's estimate is the best of
+// walking straight to the end and walking to a connector end plus that end's bound.
+const createHeuristic = (grid, profile, end) => {
+  const edges = [];
+  (grid.connectors || []).filter(connector => isConnectorAllowed(connector, profile)).forEach(connector => {
+    const cost = getConnectorCost(connector, profile);
+    edges.push({ from: connector.from, to: connector.to, cost });
+    if (connector.bidirectional) {
+      edges.push({ from: connector.to, to: connector.from, cost });
+    }
+  });
+
+  const ends = new Map();
+  edges.forEach(({ from, to }) => {
+    [from, to].forEach(cell => ends.set(nodeKey(cell), { cell, bound: Infinity, settled: false }));
+  });
+  ends.forEach(point => {
+    if (point.cell.floor === end.floor) {
+      point.bound = planarDistance(grid, point.cell, end);
+    }
+  });
+
+  for (;;) {
+    let next = null;
+    ends.forEach(point => {
+      if (!point.settled && point.bound < (next?.bound ?? Infinity)) next = point;
+    });
+    if (!next) break;
+    next.settled = true;
+
+    ends.forEach(point => {
+      if (point.cell.floor === next.cell.floor) {
+        point.bound = Math.min(point.bound, next.bound + planarDistance(grid, point.cell, next.cell));
+      }
+    });
+    edges.forEach(({ from, to, cost }) => {
+      if (nodeKey(to) === nodeKey(next.cell)) {
+        const point = ends.get(nodeKey(from));
+        point.bound = Math.min(point.bound, next.bound + cost);
+      }
+    });
+  }
+
+  const endsByFloor = new Map();
+  ends.forEach(point => {
+    if (point.bound === Infinity) return;
+    if (!endsByFloor.has(point.cell.floor)) endsByFloor.set(point.cell.floor, []);
+    endsByFloor.get(point.cell.floor).push(point);
+  });
+
+  return (node) => (endsByFloor.get(node.floor) || []).reduce(
+    (estimate, point) => Math.min(estimate, planarDistance(grid, node, point.cell) + point.bound),
+    node.floor === end.floor ? planarDistance(grid, node, end) : Infinity
+  );
+};
+
+// Minimal binary heap keyed on node.f
+class OpenSet {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent].f <= items[index].f) break;
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && items[left].f < items[smallest].f) smallest = left;
+        if (right < items.length && items[right].f < items[smallest].f) smallest = right;
+        if (smallest === index) break;
+        [items[smallest], items[index]] = [items[index], items[smallest]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// Clearance of each grid floor, kept across searches. Editing a floor replaces its cells or
+// attributes Map (and the grid object), which makes the floor be measured again.
+const clearanceCache = new WeakMap();
+
+const getFloorClearance = (grid, floor) => {
+  if (!clearanceCache.has(grid)) {
+    clearanceCache.set(grid, new Map());
+  }
+  const floors = clearanceCache.get(grid);
+  const cells = grid.cells[floor];
+  const attributes = grid.attributes?.[floor];
+  const cached = floors.get(floor);
+  if (cached && cached.cells === cells && cached.attributes === attributes) {
+    return cached.clearance;
+  }
+
+  const clearance = measureCellClearance(grid, floor);
+  floors.set(floor, { cells, attributes, clearance });
+  return clearance;
+};
+
+// Whether the profile lets a route pass through a cell. The start and end cells are always
+// allowed, since the visitor has to leave the origin and reach the destination somehow.
+const createCellFilter = (grid, profile, start, end) => {
+  const getClearance = (floor, x, z) => getFloorClearance(grid, floor).get(cellKey(x, z)) ?? 0;
+  const isEndpoint = (floor, x, z) =>
+    (floor === start.floor && x === start.x && z === start.z) ||
+    (floor === end.floor && x === end.x && z === end.z);
+
+  return (floor, x, z) => {
+    if (!isCellWalkable(grid, floor, x, z)) return false;
+    if (isEndpoint(floor, x, z)) return true;
+
+    if (profile.stepFreeOnly && getCellAttributes(grid, floor, x, z)?.stepFree === false) return false;
+    if (profile.minClearance > 0 && getClearance(floor, x, z) < profile.minClearance) return false;
+    return true;
+  };
+};
+
+const isConnectorAllowed = (connector, profile) =>
+  (!profile.stepFreeOnly || connector.stepFree) &&
+  (!profile.minClearance || connector.width === null || connector.width >= profile.minClearance);
+
+const getNeighbors = (grid, node, connectorIndex, isCellAllowed, profile) => {
+  const neighbors = [];
+
+  DIRECTIONS.forEach(({ dx, dz, cost }) => {
+    const x = node.x + dx;
+    const z = node.z + dz;
+    if (!isCellAllowed(node.floor, x, z)) return;
+
+    // Prevent cutting through blocked corners on diagonal moves
+    if (dx !== 0 && dz !== 0 &&
+        (!isCellAllowed(node.floor, node.x + dx, node.z) ||
+         !isCellAllowed(node.floor, node.x, node.z + dz))) {
+      return;
+    }
+
+    const costFactor = getCellAttributes(grid, node.floor, x, z)?.cost ?? 1;
+    neighbors.push({ node: { floor: node.floor, x, z }, cost: cost * grid.cellSize * costFactor, connector: null });
+  });
+
+  // Vertical connectors lead to a cell on another floor
+  (connectorIndex.get(nodeKey(node)) || []).forEach(edge => {
+    if (isConnectorAllowed(edge.connector, profile) && isCellAllowed(edge.node.floor, edge.node.x, edge.node.z)) {
+      neighbors.push({ ...edge, cost: getConnectorCost(edge.connector, profile) });
+    }
+  });
+
+  return neighbors;
+};
+
+// A* search between two cells ({ floor, x, z }), routing across floors through connectors
+// under one of ROUTE_PROFILES. Returns { cells, transitions } where each transition names the
+// connector used between cells[segmentIndex] and cells[segmentIndex + 1], or null if the end
+// is unreachable.
+export const findPath = (grid, start, end, profile = ROUTE_PROFILES[DEFAULT_ROUTE_PROFILE]) => {
+  if (!grid || !start || !end) return null;
+  if (!isCellWalkable(grid, start.floor, start.x, start.z) || !isCellWalkable(grid, end.floor, end.x, end.z)) {
+    return null;
+  }
+
+  const connectorIndex = buildConnectorIndex(grid);
+  const isCellAllowed = createCellFilter(grid, profile, start, end);
+  const heuristic = createHeuristic(grid, profile, end);
+  // No usable connector reaches the end's floor
+  if (heuristic(start) === Infinity) return null;
+  const endKey = nodeKey(end);
+  const openSet = new OpenSet();
+  const cameFrom = new Map();
+  const gScore = new Map([[nodeKey(start), 0]]);
+  const closed = new Set();
+
+  openSet.push({ node: start, f: heuristic(start) });
+
+  while (openSet.size > 0) {
+    const { node: current } = openSet.pop();
+    const currentKey = nodeKey(current);
+
+    if (currentKey === endKey) {
+      const cells = [current];
+      const connectors = [];
+      let key = currentKey;
+      while (cameFrom.has(key)) {
+        const { node: previous, connector } = cameFrom.get(key);
+        cells.unshift(previous);
+        connectors.unshift(connector);
+        key = nodeKey(previous);
+      }
+
+      const transitions = [];
+      connectors.forEach((connector, segmentIndex) => {
+        if (connector) {
+          transitions.push({ segmentIndex, connector });
+        }
+      });
+      return { cells, transitions };
+    }
+
+    if (closed.has(currentKey)) continue;
+    closed.add(currentKey);
+
+    getNeighbors(grid, current, connectorIndex, isCellAllowed, profile).forEach(({ node: neighbor, cost, connector }) => {
+      const neighborKey = nodeKey(neighbor);
+      if (closed.has(neighborKey)) return;
+
+      const tentative = gScore.get(currentKey) + cost;
+      if (tentative < (gScore.get(neighborKey) ?? Infinity)) {
+        cameFrom.set(neighborKey, { node: current, connector });
+        gScore.set(neighborKey, tentative);
+        openSet.push({ node: neighbor, f: tentative + heuristic(neighbor) });
+      }
+    });
+  }
+
+  return null;
+};
+
+export const cellPathToWorld = (grid, cellPath) =>
+  cellPath.map(cell => cellToWorld(grid, cell.floor, cell.x, cell.z));
+
+// Walks the cells a straight line between two cell centres crosses (a supercover line) and
+// checks each one. A line through a cell corner needs both cells beside the corner open.
+const hasLineOfSight = (isCellAllowed, floor, from, to) => {
+  const dx = to.x - from.x;
+  const dz = to.z - from.z;
+  const stepX = Math.sign(dx);
+  const stepZ = Math.sign(dz);
+  const countX = Math.abs(dx);
+  const countZ = Math.abs(dz);
+  let x = from.x;
+  let z = from.z;
+
+  for (let ix = 0, iz = 0; ix < countX || iz < countZ;) {
+    const decision = (1 + 2 * ix) * countZ - (1 + 2 * iz) * countX;
+    if (decision === 0) {
+      if (!isCellAllowed(floor, x + stepX, z) || !isCellAllowed(floor, x, z + stepZ)) return false;
+      x += stepX;
+      z += stepZ;
+      ix++;
+      iz++;
+    } else if (decision < 0) {
+      x += stepX;
+      ix++;
+    } else {
+      z += stepZ;
+      iz++;
+    }
+    if (!isCellAllowed(floor, x, z)) return false;
+  }
+  return true;
+};
+
+// String-pulling: keeps only the cells where the straight line from the last kept cell
+// would otherwise leave the allowed cells
+const pullString = (isCellAllowed, cells) => {
+  if (cells.length <= 2) return [...cells];
+
+  const pulled = [cells[0]];
+  let anchor = 0;
+  for (let i = 2; i < cells.length; i++) {
+    if (!hasLineOfSight(isCellAllowed, cells[0].floor, cells[anchor], cells[i])) {
+      anchor = i - 1;
+      pulled.push(cells[anchor]);
+    }
+  }
+  pulled.push(cells[cells.length - 1]);
+  return pulled;
+};
+
+// Samples a centripetal Catmull-Rom curve through the points at even spacing, or returns
+// null if the curve would swing into a cell the route may not use
+const curveThrough = (grid, isCellAllowed, floor, points, spacing) => {
+  const curve = new THREE.CatmullRomCurve3(points, false, 'centripetal');
+  const samples = curve.getSpacedPoints(Math.max(2, Math.ceil(curve.getLength() / spacing)));
+  const leavesGrid = samples.some(point =>
+    !isCellAllowed(floor, Math.floor(point.x / grid.cellSize), Math.floor(point.z / grid.cellSize)));
+  return leavesGrid ? null : samples;
+};
+
+// Replaces the cell-by-cell zigzag of a route with straight runs between line-of-sight
+// corners and, with `curve`, a smooth curve through them. Connectors are kept as they are.
+// Returns a route of the same shape as findRoute; cells then holds the cell under each point.
+export const smoothRoute = (grid, route, profile = ROUTE_PROFILES[DEFAULT_ROUTE_PROFILE], options = {}) => {
+  const { curve = true, spacing = grid.cellSize * 0.25 } = options;
+  const { cells, transitions } = route;
+  if (cells.length < 3) return route;
+
+  const isCellAllowed = createCellFilter(grid, profile, cells[0], cells[cells.length - 1]);
+  const connectorBySegment = new Map(transitions.map(({ segmentIndex, connector }) => [segmentIndex, connector]));
+
+  // Split into runs of cells on one floor, separated by connector segments
+  const runs = [];
+  let runStart = 0;
+  cells.forEach((cell, index) => {
+    if (index === cells.length - 1 || connectorBySegment.has(index)) {
+      runs.push({ cells: cells.slice(runStart, index + 1), connector: connectorBySegment.get(index) || null });
+      runStart = index + 1;
+    }
+  });
+
+  const points = [];
+  const pointCells = [];
+  const smoothedTransitions = [];
+  runs.forEach(run => {
+    const floor = run.cells[0].floor;
+    const corners = pullString(isCellAllowed, run.cells);
+    const cornerPoints = cellPathToWorld(grid, corners);
+    const runPoints = (curve && corners.length > 2 && curveThrough(grid, isCellAllowed, floor, cornerPoints, spacing)) ||
+      cornerPoints;
+
+    runPoints.forEach(point => {
+      points.push(point);
+      pointCells.push({ floor, x: Math.floor(point.x / grid.cellSize), z: Math.floor(point.z / grid.cellSize) });
+    });
+    if (run.connector) {
+      smoothedTransitions.push({ segmentIndex: points.length - 1, connector: run.connector });
+    }
+  });
+
+  return { cells: pointCells, points, transitions: smoothedTransitions };
+};
+
+// Snaps both locations onto the grid and returns the route as
+// { cells, points, transitions } with world-space Vector3 points, or null.
+// With options.smooth the route is string-pulled and curved (see smoothRoute).
+export const findRoute = (grid, originLocation, destinationLocation, profile, options = {}) => {
+  const start = locationToCell(grid, originLocation);
+  const end = locationToCell(grid, destinationLocation);
+  if (!start || !end) return null;
+
+  const result = findPath(grid, start, end, profile);
+  if (!result) return null;
+
+  const cells = [...result.cells];
+  // A single-cell route still needs two points for the walker
+  if (cells.length === 1) {
+    cells.push(cells[0]);
+  }
+
+  const route = {
+    cells,
+    points: cellPathToWorld(grid, cells),
+    transitions: result.transitions
+  };
+  return options.smooth ? smoothRoute(grid, route, profile, options) : route;
+};
+
+export const findLocationPath = (grid, originLocation, destinationLocation, profile) => {
+  const route = findRoute(grid, originLocation, destinationLocation, profile);
+  return route ? route.points : null;
+};
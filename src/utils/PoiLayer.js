@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import { createTextSprite, disposeTextSprite } from './textSprite';
+import { getLocationIcon } from './locationData';
+import { isShown } from './sceneObjects';
+
+const ANCHOR_HEIGHT = 0.7; // above the location, clear of its marker pin
+const WORLD_HEIGHT = 0.3; // label height in world units before clamping
+const MIN_PIXELS = 14; // labels never shrink below this on screen...
+const MAX_PIXELS = 26; // ...or grow past this when close
+const ICON_SCALE = 1.3; // icons are a little taller than the text
+const LABEL_GAP = 4; // pixels kept free between decluttered labels
+const OCCLUSION_SLACK = 0.3; // hits this close to a label don't hide it
+
+const STYLES = {
+  normal: { background: 'rgba(30, 30, 40, 0.85)', color: '#ffffff' },
+  origin: { background: 'rgba(46, 204, 113, 0.95)', color: '#ffffff' },
+  destination: { background: 'rgba(231, 76, 60, 0.95)', color: '#ffffff' }
+};
+
+// Billboarded icons and name labels for every location. Labels keep a readable size on
+// screen, give way to each other where they overlap (chosen and nearer ones win) and are
+// hidden behind walls and on floors other than the one being looked at.
+export class PoiLayer {
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.name = 'PoiLayer';
+    this.pois = []; // { location, anchor, icon, label, highlight, occluded }
+    this.highlights = { originId: null, destinationId: null };
+    this.isLocationOnShownFloor = () => true;
+    this.raycaster = new THREE.Raycaster();
+    this.occlusionIndex = 0;
+
+    this.scene.add(this.group);
+  }
+
+  setLocations(locations) {
+    this.clear();
+    this.pois = locations.map(location => {
+      const anchor = new THREE.Vector3(location.coordinates.x, location.coordinates.y + ANCHOR_HEIGHT, location.coordinates.z);
+      const poi = { location, anchor, icon: null, label: null, highlight: null, occluded: false };
+      this.createSprites(poi);
+      return poi;
+    });
+  }
+
+  highlightFor(location) {
+    if (location.id === this.highlights.originId) return 'origin';
+    if (location.id === this.highlights.destinationId) return 'destination';
+    return null;
+  }
+
+  createSprites(poi) {
+    poi.highlight = this.highlightFor(poi.location);
+    const style = STYLES[poi.highlight || 'normal'];
+
+    poi.icon = createTextSprite(getLocationIcon(poi.location), { background: 'rgba(255, 255, 255, 0.92)', radius: 32 });
+    poi.label = createTextSprite(poi.location.name, style);
+    [poi.icon, poi.label].forEach(sprite => {
+      sprite.userData.aspect = sprite.scale.x / sprite.scale.y;
+      sprite.position.copy(poi.anchor);
+      this.group.add(sprite);
+    });
+  }
+
+  removeSprites(poi) {
+    [poi.icon, poi.label].forEach(sprite => {
+      this.group.remove(sprite);
+      disposeTextSprite(sprite);
+    });
+  }
+
+  // Origin and destination labels are drawn in their colours and always shown
+  setHighlights(originId, destinationId) {
+    this.highlights = { originId, destinationId };
+    this.pois.forEach(poi => {
+      if (this.highlightFor(poi.location) !== poi.highlight) {
+        this.removeSprites(poi);
+        this.createSprites(poi);
+      }
+    });
+  }
+
+  // predicate(location) decides which floors' labels may show
+  setFloorFilter(predicate) {
+    this.isLocationOnShownFloor = predicate || (() => true);
+  }
+
+  // Re-tests a few labels per call against the occluders for line of sight from the camera
+  updateOcclusion(camera, occluders, count = 8) {
+    if (this.pois.length === 0) return;
+    if (!occluders) {
+      this.pois.forEach(poi => {
+        poi.occluded = false;
+      });
+      return;
+    }
+
+    const direction = new THREE.Vector3();
+    for (let i = 0; i < Math.min(count, this.pois.length); i++) {
+      this.occlusionIndex = (this.occlusionIndex + 1) % this.pois.length;
+      const poi = this.pois[this.occlusionIndex];
+      const distance = direction.subVectors(poi.anchor, camera.position).length();
+      this.raycaster.set(camera.position, direction.normalize());
+      this.raycaster.far = Math.max(distance - OCCLUSION_SLACK, 0);
+      poi.occluded = this.raycaster.intersectObject(occluders, true).some(hit => isShown(hit.object));
+    }
+  }
+
+  // Sizes every sprite for the camera, then hides labels that would overlap a more
+  // important one. viewportHeight is the canvas height in pixels.
+  update(camera, viewportWidth, viewportHeight) {
+    const halfFov = THREE.MathUtils.degToRad(camera.fov) / 2;
+    const projected = new THREE.Vector3();
+    const placed = [];
+
+    const candidates = [];
+    this.pois.forEach(poi => {
+      const onFloor = this.isLocationOnShownFloor(poi.location);
+      const visible = onFloor && (poi.highlight !== null || !poi.occluded);
+      poi.icon.visible = visible;
+      poi.label.visible = false;
+      if (!visible) return;
+
+      projected.copy(poi.anchor).project(camera);
+      if (projected.z > 1 || Math.abs(projected.x) > 1.2 || Math.abs(projected.y) > 1.2) {
+        poi.icon.visible = false;
+        return;
+      }
+
+      // World size that shows up as a clamped number of pixels at this distance
+      const distance = camera.position.distanceTo(poi.anchor);
+      const worldPerPixel = (2 * distance * Math.tan(halfFov)) / viewportHeight;
+      const pixels = THREE.MathUtils.clamp(WORLD_HEIGHT / worldPerPixel, MIN_PIXELS, MAX_PIXELS);
+      const labelHeight = pixels * worldPerPixel;
+      const iconHeight = labelHeight * ICON_SCALE;
+
+      poi.icon.scale.set(iconHeight * poi.icon.userData.aspect, iconHeight, 1);
+      poi.label.scale.set(labelHeight * poi.label.userData.aspect, labelHeight, 1);
+      poi.label.position.set(poi.anchor.x, poi.anchor.y + iconHeight, poi.anchor.z);
+
+      const x = (projected.x + 1) / 2 * viewportWidth;
+      const y = (1 - projected.y) / 2 * viewportHeight;
+      const width = pixels * poi.label.userData.aspect;
+      const bottom = y - pixels * ICON_SCALE;
+      candidates.push({
+        poi,
+        distance,
+        rect: { left: x - width / 2, right: x + width / 2, top: bottom - pixels, bottom }
+      });
+    });
+
+    // Highlighted first, then nearest first
+    candidates.sort((a, b) => (b.poi.highlight !== null) - (a.poi.highlight !== null) || a.distance - b.distance);
+    candidates.forEach(({ poi, rect }) => {
+      const overlaps = placed.some(other =>
+        rect.left < other.right + LABEL_GAP && rect.right + LABEL_GAP > other.left &&
+        rect.top < other.bottom + LABEL_GAP && rect.bottom + LABEL_GAP > other.top);
+      if (overlaps && poi.highlight === null) return;
+      poi.label.visible = true;
+      placed.push(rect);
+    });
+  }
+
+  show() {
+    this.group.visible = true;
+  }
+
+  hide() {
+    this.group.visible = false;
+  }
+
+  clear() {
+    this.pois.forEach(poi => this.removeSprites(poi));
+    this.pois = [];
+  }
+
+  destroy() {
+    this.clear();
+    if (this.scene) {
+      this.scene.remove(this.group);
+    }
+  }
+}
@@ -0,0 +1,411 @@
+// QR Code (ISO/IEC 18004) encoder for the printable "You are here" signs. Text is encoded
+// in byte mode as UTF-8, in the smallest version (1-40) that fits at the chosen error
+// correction level, with the mask that scores best against the standard's penalty rules.
+//
+// Ported from Project Nayuki's QR Code generator library
+// (https://www.nayuki.io/page/qr-code-generator-library), used under the MIT License:
+//
+// Copyright (c) Project Nayuki. (MIT License)
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy of
+// this software and associated documentation files (the "Software"), to deal in
+// the Software without restriction, including without limitation the rights to
+// use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+// the Software, and to permit persons to whom the Software is furnished to do so,
+// subject to the following conditions:
+// - The above copyright notice and this permission notice shall be included in
+//   all copies or substantial portions of the Software.
+// - The Software is provided "as is", without warranty of any kind, express or
+//   implied, including but not limited to the warranties of merchantability,
+//   fitness for a particular purpose and noninfringement. In no event shall the
+//   authors or copyright holders be liable for any claim, damages or other
+//   liability, whether in an action of contract, tort or otherwise, arising from,
+//   out of or in connection with the Software or the use or other dealings in the
+//   Software.
+
+export const QR_ERROR_CORRECTION = { L: 'L', M: 'M', Q: 'Q', H: 'H' };
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+const QUIET_ZONE = 4; // modules of light border a scanner needs around the code
+
+// Format-information bits and per-version block structure for each level, indexed by version
+const ERROR_CORRECTION_LEVELS = {
+  L: {
+    formatBits: 1,
+    codewordsPerBlock: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+  },
+  M: {
+    formatBits: 0,
+    codewordsPerBlock: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    blocks: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+  },
+  Q: {
+    formatBits: 3,
+    codewordsPerBlock: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68]
+  },
+  H: {
+    formatBits: 2,
+    codewordsPerBlock: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+  }
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+export class QrCodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QrCodeError';
+  }
+}
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Modules left for data and error correction once the function patterns are drawn
+const rawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+const dataCodewords = (version, level) => Math.floor(rawDataModules(version) / 8) -
+  level.codewordsPerBlock[version] * level.blocks[version];
+
+const alignmentPositions = (version) => {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const positions = [6];
+  for (let position = version * 4 + 10; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+};
+
+// Reed-Solomon arithmetic in GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+// The byte-mode bit stream padded to the version's data capacity
+const encodeData = (bytes, version, level) => {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+  };
+
+  const capacity = dataCodewords(version, level) * 8;
+  append(0b0100, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+// Splits the data into blocks, adds each block's error correction and interleaves them
+const addErrorCorrection = (data, version, level) => {
+  const blockCount = level.blocks[version];
+  const eccLength = level.codewordsPerBlock[version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const blockData = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+    offset += blockData.length;
+    const ecc = reedSolomonRemainder(blockData, divisor);
+    if (i < shortBlocks) blockData.push(0);
+    blocks.push([...blockData, ...ecc]);
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Short blocks carry a placeholder where long blocks have their last data codeword
+      if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => this.drawFinder(x, y));
+
+    const positions = alignmentPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => positions.forEach((y, j) => {
+      // Finder patterns already cover three corners
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      this.drawAlignment(x, y);
+    }));
+
+    this.drawFormatBits(0, 0);
+    this.drawVersion();
+  }
+
+  drawFinder(centerX, centerY) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = centerX + dx;
+        const y = centerY + dy;
+        if (x < 0 || x >= this.size || y < 0 || y >= this.size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        this.setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  drawAlignment(centerX, centerY) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunction(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  drawFormatBits(levelBits, mask) {
+    const data = (levelBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const { size } = this;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+    this.setFunction(8, 7, getBit(bits, 6));
+    this.setFunction(8, 8, getBit(bits, 7));
+    this.setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, getBit(bits, i));
+    this.setFunction(8, size - 8, true);
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = getBit(bits, i);
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  // Places codewords in the zig-zag column pairs, right to left
+  drawCodewords(codewords) {
+    const { size } = this;
+    let index = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // skip the vertical timing pattern
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!this.isFunction[y][x] && index < codewords.length * 8) {
+            this.modules[y][x] = getBit(codewords[index >>> 3], 7 - (index & 7));
+            index++;
+          }
+        }
+      }
+    }
+  }
+
+  // Applying the same mask twice removes it
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Lower is easier to scan: long runs, 2x2 blocks, finder look-alikes and an uneven
+  // balance of dark and light all score against a mask
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+    lines.forEach(line => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+
+      const text = line.map(dark => (dark ? '1' : '0')).join('');
+      for (let i = text.indexOf('1011101'); i !== -1; i = text.indexOf('1011101', i + 1)) {
+        const before = text.slice(Math.max(0, i - 4), i);
+        const after = text.slice(i + 7, i + 11);
+        if ((i < 4 || before === '0000') || (i + 11 > size || after === '0000')) score += 40;
+      }
+    });
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+            score += 3;
+          }
+        }
+      }
+    }
+
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+}
+
+// { version, size, modules } for text, where modules[y][x] is true for a dark module.
+// Throws a QrCodeError when the text is too long for any version.
+export const encodeQrCode = (text, errorCorrection = QR_ERROR_CORRECTION.M) => {
+  const level = ERROR_CORRECTION_LEVELS[errorCorrection];
+  if (!level) {
+    throw new QrCodeError(`Unknown error correction level "${errorCorrection}"`);
+  }
+
+  const bytes = [...new TextEncoder().encode(text)];
+  let version = MIN_VERSION;
+  const requiredBits = (candidate) => 4 + (candidate <= 9 ? 8 : 16) + bytes.length * 8;
+  while (requiredBits(version) > dataCodewords(version, level) * 8) {
+    if (++version > MAX_VERSION) {
+      throw new QrCodeError(`Text of ${bytes.length} bytes is too long for a QR code`);
+    }
+  }
+
+  const matrix = new QrMatrix(version);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(addErrorCorrection(encodeData(bytes, version, level), version, level));
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  MASKS.forEach((mask, index) => {
+    matrix.applyMask(index);
+    matrix.drawFormatBits(level.formatBits, index);
+    const penalty = matrix.penalty();
+    if (penalty < bestPenalty) {
+      bestMask = index;
+      bestPenalty = penalty;
+    }
+    matrix.applyMask(index);
+  });
+  matrix.applyMask(bestMask);
+  matrix.drawFormatBits(level.formatBits, bestMask);
+
+  return { version, size: matrix.size, modules: matrix.modules };
+};
+
+// SVG path data drawing every dark module as a unit square, offset by the quiet zone.
+// Use with a viewBox of "0 0 {size + 2 * QUIET_ZONE} {same}".
+export const qrCodeToSvgPath = ({ modules }) => {
+  const parts = [];
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) parts.push(`M${x + QUIET_ZONE},${y + QUIET_ZONE}h1v1h-1z`);
+  }));
+  return parts.join('');
+};
+
+export const qrCodeViewBoxSize = ({ size }) => size + QUIET_ZONE * 2;
@@ -0,0 +1,83 @@
+// Distance and walking-time estimates measured along a route polyline (see Pathfinder.findRoute).
+// World units are treated as metres.
+
+// Walking speed in metres per second and the extra seconds spent on each connector type
+// (climbing stairs, waiting for a lift)
+export const WALKING_PACES = {
+  standard: {
+    label: 'Standard',
+    speed: 1.4,
+    connectorPenalties: { stairs: 10, lift: 30, escalator: 5 }
+  },
+  accessible: {
+    label: 'Accessible',
+    speed: 0.8,
+    connectorPenalties: { stairs: 40, lift: 45, escalator: 15 }
+  }
+};
+
+export const DEFAULT_WALKING_PACE = 'standard';
+
+const horizontalDistance = (a, b) => Math.hypot(b.x - a.x, b.z - a.z);
+
+// Per-point running totals: cumulativeDistance[i] is the walking distance to points[i] and
+// cumulativeTime[i] the time to get there, including connector penalties on the way
+export const measureRoute = (route, pace = WALKING_PACES[DEFAULT_WALKING_PACE]) => {
+  const { points = [], transitions = [] } = route || {};
+  const connectors = new Map(transitions.map(({ segmentIndex, connector }) => [segmentIndex, connector]));
+  const speed = pace.speed > 0 ? pace.speed : WALKING_PACES[DEFAULT_WALKING_PACE].speed;
+
+  const cumulativeDistance = [0];
+  const cumulativeTime = [0];
+  for (let i = 1; i < points.length; i++) {
+    const connector = connectors.get(i - 1);
+    // A connector's climb is covered by its penalty; only its footprint is walked
+    const distance = connector
+      ? horizontalDistance(points[i - 1], points[i])
+      : points[i - 1].distanceTo(points[i]);
+    const penalty = connector ? pace.connectorPenalties?.[connector.type] ?? 0 : 0;
+
+    cumulativeDistance.push(cumulativeDistance[i - 1] + distance);
+    cumulativeTime.push(cumulativeTime[i - 1] + distance / speed + penalty);
+  }
+
+  return {
+    distance: cumulativeDistance[cumulativeDistance.length - 1],
+    duration: cumulativeTime[cumulativeTime.length - 1],
+    cumulativeDistance,
+    cumulativeTime
+  };
+};
+
+// Linear interpolation of a per-point running total at a fractional path position
+const interpolate = (values, position) => {
+  const clamped = Math.max(0, Math.min(position, values.length - 1));
+  const index = Math.floor(clamped);
+  const next = Math.min(index + 1, values.length - 1);
+  return values[index] + (values[next] - values[index]) * (clamped - index);
+};
+
+// Distance and time along a measured route up to a path position; 2.5 is halfway
+// between points 2 and 3
+export const measuredAt = (measurement, position) => ({
+  distance: interpolate(measurement.cumulativeDistance, position),
+  duration: interpolate(measurement.cumulativeTime, position)
+});
+
+// What is left of a measured route once the walker has reached a path position
+export const remainingFromIndex = (measurement, position) => {
+  const done = measuredAt(measurement, position);
+  return {
+    distance: measurement.distance - done.distance,
+    duration: measurement.duration - done.duration
+  };
+};
+
+export const formatDistance = (metres) => (metres < 10
+  ? `${metres.toFixed(1)} m`
+  : `${Math.round(metres)} m`);
+
+export const formatDuration = (seconds) => {
+  if (seconds < 60) return `${Math.max(1, Math.round(seconds))} s`;
+  return `${Math.round(seconds / 60)} min`;
+};
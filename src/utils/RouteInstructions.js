@@ -0,0 +1,248 @@
+// Turn-by-turn instructions derived from a route polyline (see Pathfinder.findRoute)
+
+const DEFAULT_OPTIONS = {
+  simplifyTolerance: 0.6, // how far a leg may stray from the grid path and still count as straight
+  straightAngle: 20, // degrees; smaller heading changes are merged into one leg
+  slightAngle: 45,
+  sharpAngle: 120,
+  uTurnAngle: 165,
+  landmarkDistance: 3, // locations this close to a leg are mentioned as landmarks
+  floorChangeHeight: 0.5, // a segment climbing more than this changes floor
+  locations: [],
+  origin: null,
+  destination: null,
+  floorNames: []
+};
+
+const CONNECTOR_ICONS = {
+  stairs: '🪜',
+  lift: '🛗',
+  escalator: '↗️'
+};
+
+const TURN_ICONS = {
+  slight: { left: '↖️', right: '↗️' },
+  normal: { left: '⬅️', right: '➡️' },
+  sharp: { left: '↙️', right: '↘️' },
+  uturn: { left: '↩️', right: '↪️' }
+};
+
+const COMPASS = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+
+const horizontalDistance = (a, b) => Math.hypot(b.x - a.x, b.z - a.z);
+
+const heading = (from, to) => {
+  const length = horizontalDistance(from, to);
+  return length > 0 ? { x: (to.x - from.x) / length, z: (to.z - from.z) / length } : null;
+};
+
+// Signed heading change in degrees, positive for a right turn (north is -z, east is +x)
+const turnAngle = (incoming, outgoing) => {
+  const cross = incoming.x * outgoing.z - incoming.z * outgoing.x;
+  const dot = incoming.x * outgoing.x + incoming.z * outgoing.z;
+  return Math.atan2(cross, dot) * 180 / Math.PI;
+};
+
+const compassDirection = (direction) => {
+  const bearing = (Math.atan2(direction.x, -direction.z) * 180 / Math.PI + 360) % 360;
+  return COMPASS[Math.round(bearing / 45) % 8];
+};
+
+// Returns { direction: 'left' | 'right', severity: 'slight' | 'normal' | 'sharp' | 'uturn' },
+// or null when the heading change is small enough to keep walking straight
+export const classifyTurn = (angle, options = DEFAULT_OPTIONS) => {
+  const magnitude = Math.abs(angle);
+  if (magnitude < options.straightAngle) return null;
+
+  const direction = angle > 0 ? 'right' : 'left';
+  if (magnitude >= options.uTurnAngle) return { direction, severity: 'uturn' };
+  if (magnitude >= options.sharpAngle) return { direction, severity: 'sharp' };
+  if (magnitude >= options.slightAngle) return { direction, severity: 'normal' };
+  return { direction, severity: 'slight' };
+};
+
+const describeTurn = ({ direction, severity }) => {
+  switch (severity) {
+    case 'slight': return `Bear slightly ${direction}`;
+    case 'sharp': return `Turn sharply ${direction}`;
+    case 'uturn': return 'Make a U-turn';
+    default: return `Turn ${direction}`;
+  }
+};
+
+// Distance from a point to the segment a-b in the XZ plane, and where along it the point lies
+const projectOntoSegment = (point, a, b) => {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0
+    ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.z - a.z) * dz) / lengthSq))
+    : 0;
+  const closest = { x: a.x + dx * t, z: a.z + dz * t };
+  return { t, distance: horizontalDistance(point, closest) };
+};
+
+// Douglas-Peucker over points[first..last], adding the indices to keep to `kept`
+const simplifyRange = (points, first, last, tolerance, kept) => {
+  let farthest = -1;
+  let farthestDistance = tolerance;
+  for (let i = first + 1; i < last; i++) {
+    const { distance } = projectOntoSegment(points[i], points[first], points[last]);
+    if (distance > farthestDistance) {
+      farthest = i;
+      farthestDistance = distance;
+    }
+  }
+  if (farthest === -1) return;
+
+  simplifyRange(points, first, farthest, tolerance, kept);
+  kept.push(farthest);
+  simplifyRange(points, farthest, last, tolerance, kept);
+};
+
+const simplifyRun = (points, first, last, tolerance) => {
+  const kept = [first];
+  simplifyRange(points, first, last, tolerance, kept);
+  kept.push(last);
+  // Drop zero-length legs left by repeated points
+  return kept.filter((index, i) => i === 0 || horizontalDistance(points[kept[i - 1]], points[index]) > 0);
+};
+
+// Splits the path into runs of consecutive points on one floor, returning [first, last] index pairs
+const splitIntoFloorRuns = (points, transitions, floorChangeHeight) => {
+  const runs = [];
+  let first = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    if (transitions.has(i) || Math.abs(points[i + 1].y - points[i].y) > floorChangeHeight) {
+      runs.push([first, i]);
+      first = i + 1;
+    }
+  }
+  runs.push([first, points.length - 1]);
+  return runs;
+};
+
+const describeLandmarks = (landmarks) => landmarks
+  .map(({ location, side }) => side ? `${location.name} on your ${side}` : location.name)
+  .join(' and ');
+
+const composeText = (instruction) => instruction.landmarks.length > 0
+  ? `${instruction.action}, then pass ${describeLandmarks(instruction.landmarks)}`
+  : instruction.action;
+
+// Builds instructions for a route { points, cells?, transitions? }. Each instruction is
+// { type, text, distance, icon, pathIndex } where pathIndex is the route point it starts at;
+// turns also carry `turn` and floor changes carry `connector`.
+export const generateRouteInstructions = (route, options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { points = [], cells = [], transitions = [] } = route || {};
+  if (points.length < 2) return [];
+
+  const transitionMap = new Map(transitions.map(({ segmentIndex, connector }) => [segmentIndex, connector]));
+  const originName = settings.origin ? settings.origin.name : 'the start';
+  const destinationName = settings.destination ? settings.destination.name : 'your destination';
+  const excludedIds = new Set([settings.origin?.id, settings.destination?.id]);
+  const mentioned = new Set();
+
+  const floorName = (pointIndex) => {
+    const floorIndex = cells[pointIndex]?.floor;
+    if (floorIndex === undefined) return null;
+    return settings.floorNames[floorIndex] || `floor ${floorIndex}`;
+  };
+
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i++) {
+    cumulative.push(cumulative[i - 1] + points[i - 1].distanceTo(points[i]));
+  }
+
+  // Named locations beside a leg on the same floor, in walking order
+  const findLandmarks = (from, to) => {
+    const direction = heading(from, to);
+    return settings.locations
+      .filter(location => !excludedIds.has(location.id) && !mentioned.has(location.id) &&
+        Math.abs(location.coordinates.y - from.y) < settings.floorChangeHeight * 3)
+      .map(location => ({ location, ...projectOntoSegment(location.coordinates, from, to) }))
+      .filter(({ t, distance }) => t > 0 && t < 1 && distance <= settings.landmarkDistance)
+      .sort((a, b) => a.t - b.t)
+      .map(({ location, distance }) => {
+        mentioned.add(location.id);
+        const offset = { x: location.coordinates.x - from.x, z: location.coordinates.z - from.z };
+        const cross = direction.x * offset.z - direction.z * offset.x;
+        return { location, side: distance < 0.25 ? null : (cross > 0 ? 'right' : 'left') };
+      });
+  };
+
+  const instructions = [];
+  const runs = splitIntoFloorRuns(points, transitionMap, settings.floorChangeHeight);
+
+  runs.forEach(([first, last], runIndex) => {
+    const kept = simplifyRun(points, first, last, settings.simplifyTolerance);
+
+    for (let j = 0; j < kept.length - 1; j++) {
+      const from = points[kept[j]];
+      const to = points[kept[j + 1]];
+      const distance = cumulative[kept[j + 1]] - cumulative[kept[j]];
+      const landmarks = findLandmarks(from, to);
+
+      let instruction;
+      if (j === 0) {
+        instruction = runIndex === 0
+          ? { type: 'start', action: `Start at ${originName} and head ${compassDirection(heading(from, to))}`, icon: '🚶' }
+          : { type: 'continue', action: `Head ${compassDirection(heading(from, to))}`, icon: '⬆️' };
+      } else {
+        const turn = classifyTurn(turnAngle(heading(points[kept[j - 1]], from), heading(from, to)), settings);
+        if (!turn) {
+          // Close enough to straight on: extend the previous leg
+          const previous = instructions[instructions.length - 1];
+          previous.distance += distance;
+          previous.landmarks.push(...landmarks);
+          continue;
+        }
+        instruction = { type: 'turn', action: describeTurn(turn), icon: TURN_ICONS[turn.severity][turn.direction], turn };
+      }
+
+      instructions.push({ ...instruction, distance, landmarks, pathIndex: kept[j] });
+    }
+
+    if (runIndex < runs.length - 1) {
+      const connector = transitionMap.get(last) || null;
+      const direction = points[last + 1].y > points[last].y ? 'up' : 'down';
+      const via = connector ? `the ${connector.name || connector.type} ` : '';
+      const targetFloor = floorName(last + 1);
+      instructions.push({
+        type: 'floor-change',
+        action: `Take ${via}${direction}${targetFloor ? ` to ${targetFloor}` : ''}`,
+        icon: connector ? CONNECTOR_ICONS[connector.type] || '↕️' : '↕️',
+        distance: 0,
+        landmarks: [],
+        pathIndex: last,
+        connector
+      });
+    }
+  });
+
+  instructions.push({
+    type: 'arrive',
+    action: `Arrive at ${destinationName}`,
+    icon: '🎯',
+    distance: 0,
+    landmarks: [],
+    pathIndex: points.length - 1
+  });
+
+  return instructions.map(({ action, ...instruction }) => ({
+    ...instruction,
+    text: composeText({ action, ...instruction })
+  }));
+};
+
+// The instruction being followed once the walker has reached path point `pathIndex`
+export const findCurrentInstruction = (instructions, pathIndex) => {
+  let current = null;
+  instructions.forEach(instruction => {
+    if (instruction.pathIndex <= pathIndex) {
+      current = instruction;
+    }
+  });
+  return current;
+};
@@ -0,0 +1,271 @@
+import * as THREE from 'three';
+import { createTextSprite, disposeTextSprite } from './textSprite';
+
+const DEFAULT_OPTIONS = {
+  width: 0.35, // ribbon width in world units
+  lift: 0.03, // height above the walkable surface, to stay clear of the floor
+  chevronSpacing: 0.8, // distance between chevrons along the route
+  chevronSpeed: 0.8, // chevrons per second
+  originName: 'Start',
+  destinationName: 'Destination',
+  floorNames: []
+};
+
+const ROUTE_COLOR = new THREE.Color(0x667eea);
+const WALKED_COLOR = new THREE.Color(0x9aa0b5);
+const ORIGIN_COLOR = 0x2ecc71;
+const DESTINATION_COLOR = 0xe74c3c;
+
+const CONNECTOR_ICONS = {
+  stairs: '🪜',
+  lift: '🛗',
+  escalator: '↗️'
+};
+
+// Chevrons are bands whose centre runs ahead of their edges, scrolled along the route by
+// time; everything before `travelled` is drawn faded
+const ribbonVertexShader = `
+  attribute float routeDistance;
+  attribute float across;
+  varying float vDistance;
+  varying float vAcross;
+
+  void main() {
+    vDistance = routeDistance;
+    vAcross = across;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const ribbonFragmentShader = `
+  uniform vec3 color;
+  uniform vec3 walkedColor;
+  uniform float travelled;
+  uniform float time;
+  uniform float spacing;
+  uniform float speed;
+  varying float vDistance;
+  varying float vAcross;
+
+  void main() {
+    float side = abs(vAcross);
+    float edge = smoothstep(1.0, 0.8, side);
+    float phase = fract((vDistance + side * spacing * 0.35) / spacing - time * speed);
+    float chevron = step(phase, 0.22) * step(side, 0.7);
+
+    vec3 ahead = mix(color, vec3(1.0), chevron * 0.85);
+    float walked = step(vDistance, travelled);
+    gl_FragColor = vec4(mix(ahead, walkedColor, walked), mix(0.9, 0.3, walked) * edge);
+    #include <colorspace_fragment>
+  }
+`;
+
+const horizontalDirection = (from, to) => {
+  const direction = new THREE.Vector3(to.x - from.x, 0, to.z - from.z);
+  return direction.lengthSq() > 1e-8 ? direction.normalize() : null;
+};
+
+// A flat strip along the points, mitred at the corners. Vertical runs (stairs, lifts)
+// keep the sideways direction of the walk leading up to them.
+const createRibbonGeometry = (points, width, lift) => {
+  const positions = [];
+  const distances = [];
+  const acrosses = [];
+  const indices = [];
+
+  let distance = 0;
+  let lastSide = new THREE.Vector3(1, 0, 0);
+  points.forEach((point, i) => {
+    if (i > 0) {
+      distance += points[i - 1].distanceTo(point);
+    }
+
+    const incoming = i > 0 ? horizontalDirection(points[i - 1], point) : null;
+    const outgoing = i < points.length - 1 ? horizontalDirection(point, points[i + 1]) : null;
+    let halfWidth = width / 2;
+    let tangent = null;
+    if (incoming && outgoing) {
+      tangent = incoming.clone().add(outgoing);
+      if (tangent.lengthSq() < 1e-8) {
+        tangent = outgoing; // a U-turn: no sensible mitre
+      } else {
+        tangent.normalize();
+        // Widen the mitre so both legs keep their width, within reason at sharp corners
+        halfWidth /= Math.max(tangent.dot(outgoing), 0.5);
+      }
+    } else {
+      tangent = incoming || outgoing;
+    }
+    if (tangent) {
+      lastSide = new THREE.Vector3(-tangent.z, 0, tangent.x);
+    }
+
+    const center = new THREE.Vector3(point.x, point.y + lift, point.z);
+    const left = center.clone().addScaledVector(lastSide, halfWidth);
+    const right = center.clone().addScaledVector(lastSide, -halfWidth);
+    positions.push(left.x, left.y, left.z, right.x, right.y, right.z);
+    distances.push(distance, distance);
+    acrosses.push(-1, 1);
+
+    if (i > 0) {
+      const a = (i - 1) * 2;
+      indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('routeDistance', new THREE.Float32BufferAttribute(distances, 1));
+  geometry.setAttribute('across', new THREE.Float32BufferAttribute(acrosses, 1));
+  geometry.setIndex(indices);
+  return { geometry, length: distance };
+};
+
+const createPin = (color) => {
+  const group = new THREE.Group();
+  const material = new THREE.MeshStandardMaterial({ color });
+
+  const head = new THREE.Mesh(new THREE.SphereGeometry(0.16, 24, 16), material);
+  head.position.y = 0.7;
+  group.add(head);
+
+  const pointGeometry = new THREE.ConeGeometry(0.1, 0.5, 24);
+  pointGeometry.rotateX(Math.PI);
+  const point = new THREE.Mesh(pointGeometry, material);
+  point.position.y = 0.37;
+  group.add(point);
+
+  return group;
+};
+
+// Draws a planned route in the scene: a ribbon with moving chevrons, pins with labels at
+// both ends and a badge wherever the route changes floor
+export class RouteLayer {
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.name = 'RouteLayer';
+    this.ribbon = null;
+    this.labels = [];
+    this.badges = [];
+    this.length = 0;
+    this.uniforms = {
+      color: { value: ROUTE_COLOR },
+      walkedColor: { value: WALKED_COLOR },
+      travelled: { value: 0 },
+      time: { value: 0 },
+      spacing: { value: DEFAULT_OPTIONS.chevronSpacing },
+      speed: { value: DEFAULT_OPTIONS.chevronSpeed }
+    };
+
+    this.scene.add(this.group);
+  }
+
+  // Shows a route { points, cells, transitions } (see Pathfinder.findRoute), replacing any other
+  setRoute(route, options = {}) {
+    this.clear();
+    const { points = [], cells = [], transitions = [] } = route || {};
+    if (points.length < 2) return;
+
+    // Options left undefined keep their defaults
+    const settings = { ...DEFAULT_OPTIONS };
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined) settings[key] = value;
+    });
+    this.uniforms.spacing.value = settings.chevronSpacing;
+    this.uniforms.speed.value = settings.chevronSpeed;
+    this.uniforms.travelled.value = 0;
+
+    const { geometry, length } = createRibbonGeometry(points, settings.width, settings.lift);
+    this.length = length;
+    const material = new THREE.ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader: ribbonVertexShader,
+      fragmentShader: ribbonFragmentShader,
+      transparent: true,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+    this.ribbon = new THREE.Mesh(geometry, material);
+    this.ribbon.renderOrder = 2;
+    // Animate only while the ribbon is actually drawn
+    this.ribbon.onBeforeRender = () => {
+      this.uniforms.time.value = performance.now() / 1000;
+    };
+    this.group.add(this.ribbon);
+
+    this.addPin(points[0], ORIGIN_COLOR, settings.originName);
+    this.addPin(points[points.length - 1], DESTINATION_COLOR, settings.destinationName);
+
+    let distance = 0;
+    const distances = points.map((point, i) => {
+      if (i > 0) distance += points[i - 1].distanceTo(point);
+      return distance;
+    });
+    transitions.forEach(({ segmentIndex, connector }) => {
+      const from = points[segmentIndex];
+      const to = points[segmentIndex + 1];
+      if (!from || !to) return;
+
+      const floorIndex = cells[segmentIndex + 1]?.floor;
+      const floorName = settings.floorNames[floorIndex] ?? (floorIndex !== undefined ? `floor ${floorIndex}` : null);
+      const icon = CONNECTOR_ICONS[connector.type] || '↕️';
+      const text = `${icon} ${to.y > from.y ? 'Up' : 'Down'}${floorName ? ` to ${floorName}` : ''}`;
+
+      const badge = createTextSprite(text, { height: 0.3, background: 'rgba(241, 196, 15, 0.92)', color: '#2c3e50' });
+      badge.position.set(from.x, Math.max(from.y, to.y) + 0.9, from.z);
+      badge.userData.routeDistance = distances[segmentIndex + 1];
+      this.badges.push(badge);
+      this.group.add(badge);
+    });
+  }
+
+  addPin(point, color, name) {
+    const pin = createPin(color);
+    pin.position.copy(point);
+    this.group.add(pin);
+
+    const label = createTextSprite(name, { height: 0.3 });
+    label.position.set(point.x, point.y + 0.95, point.z);
+    this.labels.push(label);
+    this.group.add(label);
+  }
+
+  // Fades the ribbon and the floor badges up to this distance along the route
+  setTravelled(distance) {
+    this.uniforms.travelled.value = distance;
+    this.badges.forEach(badge => {
+      badge.material.opacity = badge.userData.routeDistance <= distance ? 0.35 : 1;
+    });
+  }
+
+  show() {
+    this.group.visible = true;
+  }
+
+  hide() {
+    this.group.visible = false;
+  }
+
+  clear() {
+    [...this.labels, ...this.badges].forEach(disposeTextSprite);
+    this.labels = [];
+    this.badges = [];
+    this.group.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+    this.group.clear();
+    this.ribbon = null;
+    this.length = 0;
+  }
+
+  destroy() {
+    this.clear();
+    if (this.scene) {
+      this.scene.remove(this.group);
+    }
+  }
+}
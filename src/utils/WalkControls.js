@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+import { isShown } from './sceneObjects';
+
+const DEFAULT_SETTINGS = {
+  eyeHeight: 1.6,
+  crouchEyeHeight: 0.9,
+  walkSpeed: 1.4, // units per second, a brisk walk
+  sprintFactor: 2.2,
+  crouchFactor: 0.5,
+  radius: 0.3, // how close the eye may get to a wall
+  stepHeight: 0.4, // steps and kerbs lower than this are walked over
+  lookSensitivity: 0.002, // radians per pixel of mouse movement
+  maxPitch: THREE.MathUtils.degToRad(85)
+};
+
+const MOVE_KEYS = {
+  KeyW: 'forward',
+  ArrowUp: 'forward',
+  KeyS: 'backward',
+  ArrowDown: 'backward',
+  KeyA: 'left',
+  ArrowLeft: 'left',
+  KeyD: 'right',
+  ArrowRight: 'right',
+  ShiftLeft: 'sprint',
+  ShiftRight: 'sprint',
+  KeyC: 'crouch',
+  ControlLeft: 'crouch',
+  ControlRight: 'crouch'
+};
+
+const DOWN = new THREE.Vector3(0, -1, 0);
+
+// Walking through the building on foot: the camera stays at eye height above whatever floor
+// is underfoot, slides along walls instead of passing through them, and looks around with
+// the mouse while the pointer is locked to the canvas.
+export class WalkControls {
+  constructor(camera, domElement, settings = {}) {
+    this.camera = camera;
+    this.domElement = domElement;
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.enabled = false;
+    this.keys = {};
+    this.feet = new THREE.Vector3();
+    this.currentEyeHeight = this.settings.eyeHeight;
+    this.yaw = 0;
+    this.pitch = 0;
+    this.collisionMeshes = [];
+    this.collisionMaterials = [];
+    this.raycaster = new THREE.Raycaster();
+    this.onChange = null; // called with { enabled, locked }
+
+    this.handleKeyDown = (event) => {
+      if (MOVE_KEYS[event.code]) {
+        this.keys[MOVE_KEYS[event.code]] = true;
+      }
+    };
+    this.handleKeyUp = (event) => {
+      if (MOVE_KEYS[event.code]) {
+        this.keys[MOVE_KEYS[event.code]] = false;
+      }
+    };
+    this.handleMouseMove = (event) => {
+      if (!this.isLocked()) return;
+      this.yaw -= event.movementX * this.settings.lookSensitivity;
+      this.pitch = THREE.MathUtils.clamp(
+        this.pitch - event.movementY * this.settings.lookSensitivity,
+        -this.settings.maxPitch,
+        this.settings.maxPitch
+      );
+    };
+    this.handleClick = () => {
+      if (!this.isLocked()) {
+        this.domElement.requestPointerLock?.();
+      }
+    };
+    this.handlePointerLockChange = () => {
+      this.keys = {};
+      this.notifyChange();
+    };
+  }
+
+  isLocked() {
+    return document.pointerLockElement === this.domElement;
+  }
+
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange({ enabled: this.enabled, locked: this.isLocked() });
+    }
+  }
+
+  // Everything the walker collides with and stands on, usually the loaded building
+  setCollisionObject(root) {
+    this.collisionMeshes = [];
+    const materials = new Set();
+    if (root) {
+      root.traverse((object) => {
+        if (!object.isMesh || !object.material) return;
+        this.collisionMeshes.push(object);
+        (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => materials.add(material));
+      });
+    }
+    this.collisionMaterials = [...materials];
+  }
+
+  // Starts walking from where the camera is, dropped onto the floor beneath it
+  enable() {
+    if (this.enabled) return;
+    this.enabled = true;
+    this.keys = {};
+
+    const direction = this.camera.getWorldDirection(new THREE.Vector3());
+    this.yaw = Math.atan2(-direction.x, -direction.z);
+    this.pitch = THREE.MathUtils.clamp(Math.asin(direction.y), -this.settings.maxPitch, this.settings.maxPitch);
+
+    this.feet.copy(this.camera.position);
+    const ground = this.findGround(this.camera.position, Infinity);
+    this.feet.y = ground !== null ? ground : this.camera.position.y - this.settings.eyeHeight;
+    this.currentEyeHeight = this.settings.eyeHeight;
+
+    window.addEventListener('keydown', this.handleKeyDown);
+    window.addEventListener('keyup', this.handleKeyUp);
+    document.addEventListener('mousemove', this.handleMouseMove);
+    document.addEventListener('pointerlockchange', this.handlePointerLockChange);
+    this.domElement.addEventListener('click', this.handleClick);
+    this.notifyChange();
+  }
+
+  disable() {
+    if (!this.enabled) return;
+    this.enabled = false;
+    this.keys = {};
+
+    window.removeEventListener('keydown', this.handleKeyDown);
+    window.removeEventListener('keyup', this.handleKeyUp);
+    document.removeEventListener('mousemove', this.handleMouseMove);
+    document.removeEventListener('pointerlockchange', this.handlePointerLockChange);
+    this.domElement.removeEventListener('click', this.handleClick);
+    if (this.isLocked()) {
+      document.exitPointerLock();
+    }
+    this.notifyChange();
+  }
+
+  // Casts against the collision meshes, double sided so walls are solid from both sides
+  // and from inside. Returns the nearest hit or null.
+  castRay(origin, direction, far) {
+    if (this.collisionMeshes.length === 0) return null;
+
+    const sides = this.collisionMaterials.map(material => material.side);
+    this.collisionMaterials.forEach(material => {
+      material.side = THREE.DoubleSide;
+    });
+    try {
+      this.raycaster.set(origin, direction);
+      this.raycaster.far = far;
+      // Hidden floors (see useFloorView) shouldn't block anyone
+      return this.raycaster.intersectObjects(this.collisionMeshes, false).find(hit => isShown(hit.object)) || null;
+    } finally {
+      this.collisionMaterials.forEach((material, index) => {
+        material.side = sides[index];
+      });
+    }
+  }
+
+  // Height of the floor below a point, looking at most `depth` below it
+  findGround(point, depth) {
+    const hit = this.castRay(point, DOWN, depth);
+    return hit ? hit.point.y : null;
+  }
+
+  // Nearest wall hit moving horizontally from the feet, tested at knee and chest height
+  findWall(direction, distance) {
+    const { stepHeight } = this.settings;
+    let nearest = null;
+    [stepHeight + 0.05, this.currentEyeHeight * 0.8].forEach(height => {
+      const origin = this.feet.clone();
+      origin.y += height;
+      const hit = this.castRay(origin, direction, distance);
+      if (hit && (!nearest || hit.distance < nearest.distance)) {
+        nearest = hit;
+      }
+    });
+    return nearest;
+  }
+
+  // Moves the feet by a horizontal displacement, stopping short of walls and sliding along
+  // them with whatever movement is left
+  move(displacement) {
+    const { radius } = this.settings;
+    const remaining = displacement.clone();
+
+    for (let i = 0; i < 3 && remaining.lengthSq() > 1e-10; i++) {
+      const distance = remaining.length();
+      const direction = remaining.clone().divideScalar(distance);
+      const hit = this.findWall(direction, distance + radius);
+      if (!hit || !hit.face) {
+        this.feet.add(remaining);
+        return;
+      }
+
+      const travel = Math.max(hit.distance - radius, 0);
+      this.feet.addScaledVector(direction, travel);
+      remaining.addScaledVector(direction, -travel);
+
+      // Slide along the wall: drop the part of the movement pushing into it
+      const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld).setY(0);
+      if (normal.lengthSq() < 1e-6) return;
+      normal.normalize();
+      if (normal.dot(direction) > 0) {
+        normal.negate();
+      }
+      remaining.addScaledVector(normal, -remaining.dot(normal));
+    }
+  }
+
+  update(deltaTime) {
+    if (!this.enabled) return;
+
+    const { settings, keys } = this;
+    const forward = new THREE.Vector3(-Math.sin(this.yaw), 0, -Math.cos(this.yaw));
+    const right = new THREE.Vector3(-forward.z, 0, forward.x);
+    const input = new THREE.Vector3()
+      .addScaledVector(forward, (keys.forward ? 1 : 0) - (keys.backward ? 1 : 0))
+      .addScaledVector(right, (keys.right ? 1 : 0) - (keys.left ? 1 : 0));
+
+    if (input.lengthSq() > 0) {
+      let speed = settings.walkSpeed;
+      if (keys.crouch) {
+        speed *= settings.crouchFactor;
+      } else if (keys.sprint) {
+        speed *= settings.sprintFactor;
+      }
+      this.move(input.normalize().multiplyScalar(speed * deltaTime));
+    }
+
+    // Stand on whatever is underfoot, climbing steps and easing down ramps and stairs
+    const probe = this.feet.clone();
+    probe.y += settings.stepHeight;
+    const ground = this.findGround(probe, settings.stepHeight + settings.eyeHeight * 2);
+    if (ground !== null) {
+      this.feet.y += (ground - this.feet.y) * Math.min(deltaTime * 12, 1);
+    }
+
+    const targetEyeHeight = keys.crouch ? settings.crouchEyeHeight : settings.eyeHeight;
+    this.currentEyeHeight += (targetEyeHeight - this.currentEyeHeight) * Math.min(deltaTime * 10, 1);
+
+    this.camera.position.set(this.feet.x, this.feet.y + this.currentEyeHeight, this.feet.z);
+    this.camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ');
+  }
+
+  dispose() {
+    this.disable();
+  }
+}
@@ -0,0 +1,122 @@
+import * as THREE from 'three';
+
+// Simple markers that can stand in for the walking figure. Each faces +Z, the walker's
+// forward direction, and is animated by time only.
+export const MARKER_STYLES = {
+  ARROW: 'arrow',
+  PIN: 'pin',
+  DOT: 'dot'
+};
+
+const MARKER_COLOR = 0x667eea;
+
+const createArrow = () => {
+  const shape = new THREE.Shape();
+  shape.moveTo(0, 0.45);
+  shape.lineTo(0.3, -0.05);
+  shape.lineTo(0.1, -0.05);
+  shape.lineTo(0.1, -0.35);
+  shape.lineTo(-0.1, -0.35);
+  shape.lineTo(-0.1, -0.05);
+  shape.lineTo(-0.3, -0.05);
+  shape.closePath();
+
+  const geometry = new THREE.ExtrudeGeometry(shape, { depth: 0.06, bevelEnabled: false });
+  // Lay the arrow flat with its tip pointing along +Z; the extrusion then points down
+  geometry.rotateX(Math.PI / 2);
+  const arrow = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ color: MARKER_COLOR }));
+  arrow.position.y = 0.08;
+
+  const group = new THREE.Group();
+  group.add(arrow);
+  return {
+    object: group,
+    animate: (time, walking) => {
+      // Hover gently while waiting
+      arrow.position.y = 0.08 + (walking ? 0 : (Math.sin(time * 3) + 1) * 0.03);
+    }
+  };
+};
+
+const createPin = () => {
+  const group = new THREE.Group();
+  const body = new THREE.Group();
+  group.add(body);
+
+  const head = new THREE.Mesh(
+    new THREE.SphereGeometry(0.18, 24, 16),
+    new THREE.MeshStandardMaterial({ color: 0xe74c3c })
+  );
+  head.position.y = 0.75;
+  body.add(head);
+
+  const pointGeometry = new THREE.ConeGeometry(0.12, 0.55, 24);
+  pointGeometry.rotateX(Math.PI);
+  const point = new THREE.Mesh(pointGeometry, new THREE.MeshStandardMaterial({ color: 0xe74c3c }));
+  point.position.y = 0.4;
+  body.add(point);
+
+  const shadow = new THREE.Mesh(
+    new THREE.CircleGeometry(0.15, 24),
+    new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.25, depthWrite: false })
+  );
+  shadow.rotation.x = -Math.PI / 2;
+  shadow.position.y = 0.01;
+  group.add(shadow);
+
+  return {
+    object: group,
+    animate: (time) => {
+      body.position.y = Math.abs(Math.sin(time * 4)) * 0.08;
+    }
+  };
+};
+
+const createPulsingDot = () => {
+  const group = new THREE.Group();
+
+  const dot = new THREE.Mesh(
+    new THREE.CircleGeometry(0.18, 32),
+    new THREE.MeshBasicMaterial({ color: MARKER_COLOR })
+  );
+  dot.rotation.x = -Math.PI / 2;
+  dot.position.y = 0.03;
+  group.add(dot);
+
+  const ringMaterial = new THREE.MeshBasicMaterial({
+    color: MARKER_COLOR,
+    transparent: true,
+    opacity: 0.6,
+    depthWrite: false,
+    side: THREE.DoubleSide
+  });
+  const ring = new THREE.Mesh(new THREE.RingGeometry(0.2, 0.26, 32), ringMaterial);
+  ring.rotation.x = -Math.PI / 2;
+  ring.position.y = 0.02;
+  group.add(ring);
+
+  return {
+    object: group,
+    animate: (time) => {
+      // One pulse per second, growing outward and fading
+      const phase = time % 1;
+      ring.scale.setScalar(1 + phase * 1.5);
+      ringMaterial.opacity = 0.6 * (1 - phase);
+    }
+  };
+};
+
+const MARKER_FACTORIES = {
+  [MARKER_STYLES.ARROW]: createArrow,
+  [MARKER_STYLES.PIN]: createPin,
+  [MARKER_STYLES.DOT]: createPulsingDot
+};
+
+// Returns { object, animate(timeInSeconds, walking) } for one of MARKER_STYLES
+export const createWalkerMarker = (style) => {
+  const factory = MARKER_FACTORIES[style];
+  if (!factory) {
+    throw new Error(`Unknown marker style "${style}"`);
+  }
+  return factory();
+};
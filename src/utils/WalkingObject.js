@@ -1,23 +1,79 @@
 import * as THREE from 'three';
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { MARKER_STYLES, createWalkerMarker } from './WalkerMarkers';
+
+// What the walker looks like: the built-in figure, a glTF character or a marker
+export const WALKER_STYLES = {
+  FIGURE: 'figure',
+  AVATAR: 'avatar',
+  ...MARKER_STYLES
+};
+
+const DEFAULT_AVATAR_OPTIONS = {
+  height: 1.4, // the character is scaled to this height, about that of the built-in figure
+  walkClip: /walk/i, // clip name or pattern for the walk cycle
+  idleClip: /idle|stand/i,
+  clipSpeed: 1.4, // speed in units per second the walk clip was animated for
+  crossFade: 0.25 // seconds to blend between walking and idling
+};
+
+const findClip = (animations, matcher) => animations.find(clip =>
+  (typeof matcher === 'string' ? clip.name === matcher : matcher.test(clip.name)));
+
+// Speed multipliers and whether the figure walks or stands while riding a connector
+const CONNECTOR_MOTION = {
+  stairs: { speedFactor: 0.5, walking: true },
+  escalator: { speedFactor: 0.6, walking: false },
+  lift: { speedFactor: 0.4, walking: false }
+};
 
 export class WalkingObject {
   constructor(scene) {
     this.scene = scene;
     this.object = null;
     this.path = [];
+    this.transitions = new Map(); // segment index -> connector used on that segment
+    this.pointFloors = []; // grid floor index of each path point, when known
+    this.cumulativeDistances = []; // distance along the path to each point
     this.currentPathIndex = 0;
     this.progress = 0;
+    this.elapsedTime = 0; // seconds spent walking since the start of the path
+    this.progressInterval = 0.1; // seconds between progress reports while walking
+    this.timeSinceProgress = 0;
     this.isWalking = false;
     this.walkSpeed = 2; // units per second
     this.rotationSpeed = 5; // radians per second
+    this.targetRotationY = 0;
     this.onComplete = null;
     this.onProgress = null;
+    this.style = WALKER_STYLES.FIGURE;
+    this.appearance = null; // the child of this.object that is drawn
+    this.bodyParts = null; // limbs of the built-in figure
+    this.marker = null;
+    this.mixer = null; // AnimationMixer of a glTF character
+    this.actions = { walk: null, idle: null };
+    this.activeAction = null;
+    this.avatarOptions = DEFAULT_AVATAR_OPTIONS;
+    this.currentSpeed = 0;
     
     this.createObject();
   }
 
   createObject() {
-    // Create a simple humanoid character
+    // The root follows the path; the appearance inside it can be swapped
+    const root = new THREE.Group();
+    
+    // Set initial position (will be updated when path is set)
+    root.position.set(0, 0, 0);
+    root.visible = false; // Hidden until path is set
+    
+    this.object = root;
+    this.scene.add(this.object);
+    this.setStyle(WALKER_STYLES.FIGURE);
+  }
+
+  // A simple humanoid character as { group, bodyParts }, bodyParts being the limbs to animate
+  createFigure() {
     const group = new THREE.Group();
     
     // Body (cylinder)
@@ -60,33 +116,133 @@ export class WalkingObject {
     rightLeg.position.set(0.1, -0.25, 0);
     group.add(rightLeg);
     
-    // Store references for animation
-    this.bodyParts = {
-      body,
-      head,
-      leftArm,
-      rightArm,
-      leftLeg,
-      rightLeg
+    return {
+      group,
+      bodyParts: {
+        body,
+        head,
+        leftArm,
+        rightArm,
+        leftLeg,
+        rightLeg
+      }
     };
-    
-    // Set initial position (will be updated when path is set)
-    group.position.set(0, 0, 0);
-    group.visible = false; // Hidden until path is set
-    
-    this.object = group;
-    this.scene.add(this.object);
   }
 
-  setPath(worldPath) {
+  setAppearance(appearance) {
+    if (this.appearance) {
+      this.object.remove(this.appearance);
+      this.disposeAppearance(this.appearance);
+    }
+    if (this.mixer) {
+      this.mixer.stopAllAction();
+      this.mixer = null;
+    }
+    this.actions = { walk: null, idle: null };
+    this.activeAction = null;
+    this.bodyParts = null;
+    this.marker = null;
+
+    this.appearance = appearance;
+    this.object.add(appearance);
+  }
+
+  disposeAppearance(appearance) {
+    appearance.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => material.dispose());
+      }
+    });
+  }
+
+  // Switches to the built-in figure or one of the markers; use setAvatar for a character
+  setStyle(style) {
+    if (style === WALKER_STYLES.FIGURE) {
+      const figure = this.createFigure();
+      this.setAppearance(figure.group);
+      this.bodyParts = figure.bodyParts;
+    } else if (Object.values(MARKER_STYLES).includes(style)) {
+      const marker = createWalkerMarker(style);
+      this.setAppearance(marker.object);
+      this.marker = marker;
+    } else {
+      console.warn(`Unknown walker style "${style}", keeping "${this.style}"`);
+      return;
+    }
+    this.style = style;
+  }
+
+  // Uses a loaded glTF ({ scene, animations }) as the walker. Its walk and idle clips play
+  // through an AnimationMixer, the walk clip sped up or slowed down to match the walking speed.
+  // Without a walk clip the character just glides along the path.
+  setAvatar(gltf, options = {}) {
+    if (!gltf || !gltf.scene) {
+      this.setStyle(WALKER_STYLES.FIGURE);
+      return;
+    }
+
+    this.avatarOptions = { ...DEFAULT_AVATAR_OPTIONS, ...options };
+    // Skinned meshes need their skeleton cloned too, so the same glTF can be reused
+    const character = cloneSkinned(gltf.scene);
+
+    // Scale to the configured height and stand the feet on the path
+    const box = new THREE.Box3().setFromObject(character);
+    const size = box.getSize(new THREE.Vector3());
+    if (size.y > 0) {
+      character.scale.multiplyScalar(this.avatarOptions.height / size.y);
+      box.setFromObject(character);
+    }
+    const center = box.getCenter(new THREE.Vector3());
+    character.position.set(-center.x, -box.min.y, -center.z);
+
+    const appearance = new THREE.Group();
+    appearance.add(character);
+    this.setAppearance(appearance);
+
+    const animations = gltf.animations || [];
+    if (animations.length > 0) {
+      this.mixer = new THREE.AnimationMixer(character);
+      const walkClip = findClip(animations, this.avatarOptions.walkClip);
+      const idleClip = findClip(animations, this.avatarOptions.idleClip);
+      this.actions = {
+        walk: walkClip ? this.mixer.clipAction(walkClip) : null,
+        idle: idleClip ? this.mixer.clipAction(idleClip) : null
+      };
+    }
+    this.style = WALKER_STYLES.AVATAR;
+  }
+
+  // Fades from the playing clip to another one (or to none)
+  playAction(action) {
+    if (action === this.activeAction) return;
+
+    const fade = this.avatarOptions.crossFade;
+    if (this.activeAction) {
+      this.activeAction.fadeOut(fade);
+    }
+    if (action) {
+      action.reset().fadeIn(fade).play();
+    }
+    this.activeAction = action;
+  }
+
+  setPath(worldPath, transitions = [], pointFloors = []) {
     if (!worldPath || worldPath.length < 2) {
       console.warn('Invalid path provided to walking object');
       return;
     }
     
     this.path = worldPath.map(point => point.clone());
+    this.transitions = new Map(transitions.map(({ segmentIndex, connector }) => [segmentIndex, connector]));
+    this.pointFloors = [...pointFloors];
+    this.cumulativeDistances = [0];
+    for (let i = 1; i < this.path.length; i++) {
+      this.cumulativeDistances.push(this.cumulativeDistances[i - 1] + this.path[i - 1].distanceTo(this.path[i]));
+    }
     this.currentPathIndex = 0;
     this.progress = 0;
+    this.elapsedTime = 0;
     this.isWalking = false;
     
     // Position object at start of path
@@ -99,7 +255,8 @@ export class WalkingObject {
     }
   }
 
-  lookAtNextPoint() {
+  // Points the figure along the current segment, instantly or by turning at rotationSpeed
+  lookAtNextPoint(immediate = true) {
     if (this.currentPathIndex + 1 < this.path.length) {
       const currentPos = this.path[this.currentPathIndex];
       const nextPos = this.path[this.currentPathIndex + 1];
@@ -107,12 +264,15 @@ export class WalkingObject {
       // Calculate direction vector (only in XZ plane for natural walking)
       const direction = new THREE.Vector3()
         .subVectors(nextPos, currentPos)
-        .normalize();
+        .setY(0);
       
-      if (direction.length() > 0) {
+      // Purely vertical segments (lifts) keep the current heading
+      if (direction.lengthSq() > 1e-6) {
         // Calculate target rotation (Y-axis rotation only)
-        const targetRotationY = Math.atan2(direction.x, direction.z);
-        this.object.rotation.y = targetRotationY;
+        this.targetRotationY = Math.atan2(direction.x, direction.z);
+        if (immediate) {
+          this.object.rotation.y = this.targetRotationY;
+        }
       }
     }
   }
@@ -129,10 +289,8 @@ export class WalkingObject {
     if (this.currentPathIndex === 0 && this.progress === 0) {
       this.object.position.copy(this.path[0]);
       this.lookAtNextPoint();
-      
-      if (this.onProgress) {
-        this.onProgress(0, this.path.length);
-      }
+      this.elapsedTime = 0;
+      this.reportProgress();
     }
     // If we're already partway through the path, continue from current position
   }
@@ -147,6 +305,50 @@ export class WalkingObject {
     // Continue from current position without resetting
   }
 
+  getCurrentConnector() {
+    return this.transitions.get(this.currentPathIndex) || null;
+  }
+
+  // Snapshot of how far along the path the walker is. Distances are in world units,
+  // heading is the Y rotation in radians and floor is the grid floor index (or null).
+  getProgress() {
+    const lastIndex = this.path.length - 1;
+    const segmentIndex = Math.min(this.currentPathIndex, Math.max(lastIndex - 1, 0));
+    const segmentProgress = this.currentPathIndex >= lastIndex ? 1 : this.progress;
+    const totalDistance = this.cumulativeDistances[lastIndex] || 0;
+    const segmentLength = (this.cumulativeDistances[segmentIndex + 1] ?? 0) - (this.cumulativeDistances[segmentIndex] ?? 0);
+    const distanceTravelled = lastIndex > 0
+      ? Math.min(totalDistance, this.cumulativeDistances[segmentIndex] + segmentLength * segmentProgress)
+      : 0;
+
+    return {
+      distanceTravelled,
+      distanceRemaining: totalDistance - distanceTravelled,
+      totalDistance,
+      fraction: totalDistance > 0 ? distanceTravelled / totalDistance : 0,
+      segmentIndex,
+      segmentProgress,
+      segmentCount: Math.max(lastIndex, 0),
+      heading: this.object.rotation.y,
+      position: this.object.position.clone(),
+      floor: this.pointFloors[this.currentPathIndex] ?? null,
+      connector: this.getCurrentConnector(),
+      elapsedTime: this.elapsedTime,
+      isWalking: this.isWalking
+    };
+  }
+
+  reportProgress() {
+    this.timeSinceProgress = 0;
+    if (this.onProgress && this.path.length > 1) {
+      this.onProgress(this.getProgress());
+    }
+  }
+
+  setProgressInterval(seconds) {
+    this.progressInterval = Math.max(0, seconds);
+  }
+
   isAtStart() {
     return this.currentPathIndex === 0 && this.progress === 0;
   }
@@ -159,9 +361,11 @@ export class WalkingObject {
     if (this.path.length > 0) {
       this.currentPathIndex = 0;
       this.progress = 0;
+      this.elapsedTime = 0;
       this.object.position.copy(this.path[0]);
       this.lookAtNextPoint();
       this.animateIdle();
+      this.reportProgress();
     }
   }
 
@@ -176,7 +380,7 @@ export class WalkingObject {
 
   update(deltaTime) {
     if (!this.isWalking || this.path.length < 2) {
-      this.animateIdle();
+      this.animateIdle(deltaTime);
       return;
     }
 
@@ -184,6 +388,7 @@ export class WalkingObject {
       // Reached the end
       this.isWalking = false;
       this.animateIdle();
+      this.reportProgress();
       if (this.onComplete) {
         this.onComplete();
       }
@@ -194,33 +399,72 @@ export class WalkingObject {
     const currentPos = this.path[this.currentPathIndex];
     const nextPos = this.path[this.currentPathIndex + 1];
     const segmentLength = currentPos.distanceTo(nextPos);
-    const moveDistance = this.walkSpeed * deltaTime;
+    const connector = this.transitions.get(this.currentPathIndex);
+    const motion = connector ? CONNECTOR_MOTION[connector.type] : null;
+    this.currentSpeed = this.walkSpeed * (motion ? motion.speedFactor : 1);
+    const moveDistance = this.currentSpeed * deltaTime;
     
-    this.progress += moveDistance / segmentLength;
+    this.progress += segmentLength > 0 ? moveDistance / segmentLength : 1;
+    this.elapsedTime += deltaTime;
+    this.timeSinceProgress += deltaTime;
 
     if (this.progress >= 1) {
       // Move to next segment
       this.currentPathIndex++;
       this.progress = 0;
+      this.object.position.copy(nextPos);
       
       if (this.currentPathIndex < this.path.length - 1) {
-        this.lookAtNextPoint();
+        this.lookAtNextPoint(false);
       }
       
-      if (this.onProgress) {
-        this.onProgress(this.currentPathIndex, this.path.length);
-      }
+      this.reportProgress();
     } else {
       // Interpolate position
       const newPosition = new THREE.Vector3().lerpVectors(currentPos, nextPos, this.progress);
       this.object.position.copy(newPosition);
+
+      if (this.timeSinceProgress >= this.progressInterval) {
+        this.reportProgress();
+      }
     }
 
-    // Animate walking
-    this.animateWalking(deltaTime);
+    this.turnTowardsTarget(deltaTime);
+
+    // Animate walking, or stand still while a lift or escalator carries the figure
+    if (motion && !motion.walking) {
+      this.animateIdle(deltaTime);
+    } else {
+      this.animateWalking(deltaTime);
+    }
+  }
+
+  // Rotates towards targetRotationY along the shorter way round, at most rotationSpeed per second
+  turnTowardsTarget(deltaTime) {
+    const current = this.object.rotation.y;
+    const difference = Math.atan2(Math.sin(this.targetRotationY - current), Math.cos(this.targetRotationY - current));
+    const maxStep = this.rotationSpeed * deltaTime;
+    this.object.rotation.y = Math.abs(difference) <= maxStep
+      ? this.targetRotationY
+      : current + Math.sign(difference) * maxStep;
   }
 
   animateWalking(deltaTime) {
+    if (this.style === WALKER_STYLES.AVATAR) {
+      if (this.actions.walk) {
+        this.actions.walk.timeScale = this.currentSpeed / this.avatarOptions.clipSpeed;
+      }
+      this.playAction(this.actions.walk);
+      if (this.mixer) {
+        this.mixer.update(deltaTime);
+      }
+      return;
+    }
+    if (this.marker) {
+      this.marker.animate(performance.now() / 1000, true);
+      return;
+    }
+
     const time = Date.now() * 0.005;
     const walkCycle = Math.sin(time * this.walkSpeed * deltaTime * 60); // Use deltaTime for frame-rate independence
     
@@ -237,7 +481,19 @@ export class WalkingObject {
     this.bodyParts.rightLeg.rotation.x = -walkCycle * 0.3;
   }
 
-  animateIdle() {
+  animateIdle(deltaTime = 0) {
+    if (this.style === WALKER_STYLES.AVATAR) {
+      this.playAction(this.actions.idle);
+      if (this.mixer) {
+        this.mixer.update(deltaTime);
+      }
+      return;
+    }
+    if (this.marker) {
+      this.marker.animate(performance.now() / 1000, false);
+      return;
+    }
+
     const time = Date.now() * 0.001;
     const idleBob = Math.sin(time) * 0.01;
     
@@ -253,9 +509,15 @@ export class WalkingObject {
   }
 
   destroy() {
+    if (this.mixer) {
+      this.mixer.stopAllAction();
+    }
     if (this.object && this.scene) {
       this.scene.remove(this.object);
     }
+    if (this.appearance) {
+      this.disposeAppearance(this.appearance);
+    }
   }
 
   setWalkSpeed(speed) {
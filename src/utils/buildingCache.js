@@ -0,0 +1,140 @@
+// Keeps the last opened building and the map authored for it in IndexedDB, so the next
+// visit opens straight from storage, even offline. A building is identified by the hash of
+// its manifest and model contents: change any model and it becomes a different building
+// whose map starts from scratch, so stale locations and grids are never applied to it.
+import { STORAGE_STORES, readRecord, writeRecord, deleteRecord, readAllKeys, hashContent } from './storage';
+import { parseLocationData, serializeLocationData } from './locationData';
+import { parseGridData, serializeGridData } from './gridData';
+
+const LAST_BUILDING_KEY = 'lastBuilding';
+
+// What the server says identifies a version of a file (its ETag, else its Last-Modified
+// date), or null when it says nothing, as for blob URLs
+const readValidator = (response) => response.headers.get('ETag') || response.headers.get('Last-Modified') || null;
+
+// Downloads every floor model once and hashes it, as
+// [{ floorId, name, blob, hash, validator }]. The blobs are what the building is loaded from
+// and stored as, so nothing is fetched twice. Blob URLs of picked files must still be valid.
+export const readBuildingModels = async (manifest, resolveModelUrl) => Promise.all(manifest.floors.map(async (floor) => {
+  const response = await fetch(resolveModelUrl(floor));
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${floor.model} (HTTP ${response.status})`);
+  }
+  const blob = await response.blob();
+  return { floorId: floor.id, name: floor.model, blob, hash: await hashContent(blob), validator: readValidator(response) };
+}));
+
+// Hash identifying a building, from its manifest and the models readBuildingModels read
+export const hashBuilding = (manifest, models) => hashContent(JSON.stringify({
+  floors: manifest.floors,
+  models: models.map(model => model.hash)
+}));
+
+// Stores a loaded building, with the models readBuildingModels read for it, as the one to
+// reopen and returns its hash. source says where it can be fetched again ({ manifestUrl }
+// or { modelUrl }), or is null for picked files. Models of earlier buildings are dropped;
+// their maps are kept in case they come back.
+export const cacheBuilding = async (manifest, models, source = null) => {
+  const hash = await hashBuilding(manifest, models);
+
+  const storedHashes = new Set(await readAllKeys(STORAGE_STORES.MODELS));
+  for (const model of models) {
+    if (!storedHashes.has(model.hash)) {
+      await writeRecord(STORAGE_STORES.MODELS, model.hash, {
+        hash: model.hash,
+        name: model.name,
+        type: model.blob.type,
+        blob: model.blob
+      });
+    }
+  }
+
+  await writeRecord(STORAGE_STORES.SETTINGS, LAST_BUILDING_KEY, {
+    hash,
+    manifest,
+    source,
+    modelHashes: Object.fromEntries(models.map(model => [model.floorId, model.hash])),
+    modelValidators: Object.fromEntries(models.map(model => [model.floorId, model.validator]))
+  });
+
+  const keep = new Set(models.map(model => model.hash));
+  for (const storedHash of storedHashes) {
+    if (!keep.has(storedHash)) {
+      await deleteRecord(STORAGE_STORES.MODELS, storedHash);
+    }
+  }
+  return hash;
+};
+
+// { hash, manifest, source, modelValidators, resolveModelUrl, dispose } for the building stored last, or
+// null when there is none or one of its models is missing. Call dispose() once the
+// building has loaded to release the object URLs.
+export const readCachedBuilding = async () => {
+  const building = await readRecord(STORAGE_STORES.SETTINGS, LAST_BUILDING_KEY);
+  if (!building) return null;
+
+  const urls = new Map();
+  for (const floor of building.manifest.floors) {
+    const model = await readRecord(STORAGE_STORES.MODELS, building.modelHashes[floor.id]);
+    if (!model) {
+      urls.forEach(url => URL.revokeObjectURL(url));
+      return null;
+    }
+    urls.set(floor.id, URL.createObjectURL(model.blob));
+  }
+
+  return {
+    hash: building.hash,
+    manifest: building.manifest,
+    source: building.source,
+    modelValidators: building.modelValidators || {},
+    resolveModelUrl: (floor) => urls.get(floor.id),
+    dispose: () => urls.forEach(url => URL.revokeObjectURL(url))
+  };
+};
+
+// Whether the server's copy of a stored building differs from it, asking only for the
+// models' headers: true or false, or null when the server gives no ETag or Last-Modified
+// to tell by, in which case only downloading and hashing the models can answer.
+export const hasBuildingChanged = async (stored, manifest, resolveModelUrl) => {
+  if (JSON.stringify(stored.manifest.floors) !== JSON.stringify(manifest.floors)) return true;
+
+  const validators = await Promise.all(manifest.floors.map(async (floor) => {
+    const response = await fetch(resolveModelUrl(floor), { method: 'HEAD', cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Failed to check ${floor.model} (HTTP ${response.status})`);
+    }
+    return readValidator(response);
+  }));
+  if (validators.some((validator, index) => !validator || !stored.modelValidators[manifest.floors[index].id])) {
+    return null;
+  }
+  return validators.some((validator, index) => validator !== stored.modelValidators[manifest.floors[index].id]);
+};
+
+export const cacheMapData = (buildingHash, locations, grid) =>
+  writeRecord(STORAGE_STORES.MAPS, buildingHash, {
+    locations: serializeLocationData(locations),
+    grid: grid ? serializeGridData(grid) : null,
+    savedAt: new Date().toISOString()
+  });
+
+// { locations, grid } stored for a building (each parsed, or null), or null when nothing
+// was stored. Data that no longer parses is treated as missing.
+export const readCachedMapData = async (buildingHash) => {
+  const stored = await readRecord(STORAGE_STORES.MAPS, buildingHash);
+  if (!stored) return null;
+
+  const parseOrNull = (parse, data) => {
+    try {
+      return data ? parse(data) : null;
+    } catch (error) {
+      console.warn('Ignoring stored map data:', error);
+      return null;
+    }
+  };
+  return {
+    locations: parseOrNull(parseLocationData, stored.locations),
+    grid: parseOrNull(parseGridData, stored.grid)
+  };
+};
@@ -0,0 +1,206 @@
+// Loader and validator for building manifests: one GLB per floor, stacked by elevation.
+//
+// {
+//   "metadata": { "version": "1.0", "name": "RBH Demo" },
+//   "floors": [
+//     { "id": "GF", "name": "Ground Floor", "model": "ground-floor.glb", "elevation": 0 },
+//     { "id": "FF", "name": "First Floor", "model": "first-floor.glb", "elevation": 0, "offset": { "x": 54.81, "z": 0 } }
+//   ]
+// }
+//
+// Model paths are resolved relative to the manifest. "elevation" and "offset" are added
+// to the position the floor was authored at.
+export const BUILDING_MANIFEST_VERSION = '1.0';
+export const SUPPORTED_BUILDING_MANIFEST_VERSIONS = ['1.0'];
+export const DEFAULT_BUILDING_URL = '/buildings/rbh/building.json';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isModelFile = (file) => /\.(glb|gltf)$/i.test(file.name);
+
+export class BuildingManifestError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n- ${errors.join('\n- ')}` : message);
+    this.name = 'BuildingManifestError';
+    this.errors = errors;
+  }
+}
+
+// Returns a list of human readable problems; an empty list means the manifest is valid
+export const validateBuildingManifest = (data) => {
+  const errors = [];
+
+  if (!isPlainObject(data)) {
+    return ['Building manifest must be a JSON object with "metadata" and "floors"'];
+  }
+
+  if (!isPlainObject(data.metadata)) {
+    errors.push('metadata must be an object');
+  } else if (!SUPPORTED_BUILDING_MANIFEST_VERSIONS.includes(String(data.metadata.version))) {
+    errors.push(`metadata.version "${data.metadata.version}" is not supported (expected one of ${SUPPORTED_BUILDING_MANIFEST_VERSIONS.join(', ')})`);
+  }
+
+  if (!Array.isArray(data.floors) || data.floors.length === 0) {
+    errors.push('floors must be a non-empty array');
+    return errors;
+  }
+
+  const seenIds = new Set();
+  data.floors.forEach((floor, index) => {
+    const path = `floors[${index}]`;
+    if (!isPlainObject(floor)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (typeof floor.id !== 'string' || floor.id.trim() === '') {
+      errors.push(`${path}.id must be a non-empty string`);
+    } else if (seenIds.has(floor.id)) {
+      errors.push(`${path}.id "${floor.id}" is duplicated`);
+    } else {
+      seenIds.add(floor.id);
+    }
+    if (typeof floor.model !== 'string' || floor.model.trim() === '') {
+      errors.push(`${path}.model must be the path of a .glb or .gltf file`);
+    }
+    if (floor.elevation !== undefined && !isFiniteNumber(floor.elevation)) {
+      errors.push(`${path}.elevation must be a finite number`);
+    }
+    if (floor.offset !== undefined) {
+      if (!isPlainObject(floor.offset)) {
+        errors.push(`${path}.offset must be an object with x and z`);
+      } else {
+        ['x', 'z'].forEach(axis => {
+          if (floor.offset[axis] !== undefined && !isFiniteNumber(floor.offset[axis])) {
+            errors.push(`${path}.offset.${axis} must be a finite number`);
+          }
+        });
+      }
+    }
+  });
+
+  return errors;
+};
+
+export const parseBuildingManifest = (data) => {
+  const errors = validateBuildingManifest(data);
+  if (errors.length > 0) {
+    throw new BuildingManifestError('Invalid building manifest', errors);
+  }
+
+  return {
+    name: data.metadata.name || '',
+    floors: data.floors.map(floor => ({
+      id: floor.id,
+      name: floor.name || floor.id,
+      model: floor.model,
+      elevation: floor.elevation || 0,
+      offset: { x: floor.offset?.x || 0, z: floor.offset?.z || 0 }
+    }))
+  };
+};
+
+const parseJson = (text, source) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new BuildingManifestError(`${source} is not valid JSON`, [error.message]);
+  }
+};
+
+// Returns { manifest, resolveModelUrl } with model paths resolved against the manifest URL
+export const fetchBuildingManifest = async (url = DEFAULT_BUILDING_URL) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new BuildingManifestError(`Failed to fetch ${url} (HTTP ${response.status})`);
+  }
+
+  const manifest = parseBuildingManifest(parseJson(await response.text(), url));
+  const baseUrl = new URL(url, window.location.href);
+  return {
+    manifest,
+    resolveModelUrl: (floor) => new URL(floor.model, baseUrl).href
+  };
+};
+
+// Manifest for a single model that is the whole building
+export const createSingleModelManifest = (fileName) => ({
+  name: fileName.split('/').pop(),
+  floors: [{
+    id: 'floor-1',
+    name: fileName.split('/').pop().replace(/\.(glb|gltf)$/i, ''),
+    model: fileName,
+    elevation: 0,
+    offset: { x: 0, z: 0 }
+  }]
+});
+
+// Builds a manifest from files picked together in a file input. With a building.json among
+// them its model paths are matched by file name; otherwise every GLB becomes one floor.
+// The caller must call dispose() once the models are loaded to release the object URLs.
+export const createManifestFromFiles = async (fileList) => {
+  const files = Array.from(fileList);
+  const manifestFile = files.find(file => /\.json$/i.test(file.name));
+  const modelFiles = files.filter(isModelFile);
+
+  if (modelFiles.length === 0) {
+    throw new BuildingManifestError('Select at least one .glb or .gltf file');
+  }
+
+  const manifest = manifestFile
+    ? parseBuildingManifest(parseJson(await manifestFile.text(), manifestFile.name))
+    : {
+        name: modelFiles.length === 1 ? modelFiles[0].name : 'Building',
+        floors: modelFiles.map((file, index) => ({
+          id: `floor-${index + 1}`,
+          name: file.name.replace(/\.(glb|gltf)$/i, ''),
+          model: file.name,
+          elevation: 0,
+          offset: { x: 0, z: 0 }
+        }))
+      };
+
+  const urls = new Map();
+  const missing = [];
+  manifest.floors.forEach(floor => {
+    const fileName = floor.model.split('/').pop();
+    const file = modelFiles.find(candidate => candidate.name === fileName);
+    if (file) {
+      urls.set(floor.id, URL.createObjectURL(file));
+    } else {
+      missing.push(`${floor.id}: ${floor.model} was not among the selected files`);
+    }
+  });
+
+  if (missing.length > 0) {
+    urls.forEach(url => URL.revokeObjectURL(url));
+    throw new BuildingManifestError('Building manifest references missing models', missing);
+  }
+
+  return {
+    manifest,
+    resolveModelUrl: (floor) => urls.get(floor.id),
+    dispose: () => urls.forEach(url => URL.revokeObjectURL(url))
+  };
+};
+
+// Finds the building floor a height belongs to: the highest floor whose base is at or below it
+export const findBuildingFloorForHeight = (buildingFloors, y, tolerance = 0.5) => {
+  let best = null;
+  buildingFloors.forEach(floor => {
+    if (floor.minY - tolerance <= y && (!best || floor.minY > best.minY)) {
+      best = floor;
+    }
+  });
+  return best;
+};
+
+// Fills in grid.floorIds from the loaded building floors, keeping ids that are already set
+export const assignGridFloorIds = (grid, buildingFloors) => {
+  if (!grid || buildingFloors.length === 0) return grid;
+
+  return {
+    ...grid,
+    floorIds: grid.floors.map((height, index) =>
+      grid.floorIds[index] ?? findBuildingFloorForHeight(buildingFloors, height)?.id ?? null)
+  };
+};
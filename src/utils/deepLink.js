@@ -0,0 +1,63 @@
+// Navigation state kept in the page URL so a route can be bookmarked and shared:
+// ?from=<location id>&to=<location id>&profile=<route profile>&floor=<building floor id>&view=<camera>
+// where view is the camera position and orbit target as "x,y,z,targetX,targetY,targetZ".
+// kiosk=1 turns the page into a "You are here" kiosk fixed to the from location.
+import { ROUTE_PROFILES } from './Pathfinder';
+
+const VIEW_PRECISION = 2; // decimals kept for camera coordinates
+
+const parseView = (text) => {
+  const values = (text || '').split(',').map(Number);
+  if (values.length !== 6 || !values.every(Number.isFinite)) return null;
+
+  const [x, y, z, targetX, targetY, targetZ] = values;
+  return {
+    position: { x, y, z },
+    target: { x: targetX, y: targetY, z: targetZ }
+  };
+};
+
+const formatView = ({ position, target }) => [position.x, position.y, position.z, target.x, target.y, target.z]
+  .map(value => Number(value.toFixed(VIEW_PRECISION)))
+  .join(',');
+
+// { from, to, profile, floor, view, kiosk } from a query string; anything missing or
+// unusable is null, and kiosk is only true when there is a from location to fix
+export const parseDeepLink = (search) => {
+  const params = new URLSearchParams(search);
+  const profile = params.get('profile');
+  return {
+    from: params.get('from') || null,
+    to: params.get('to') || null,
+    profile: profile && ROUTE_PROFILES[profile] ? profile : null,
+    floor: params.get('floor') || null,
+    view: parseView(params.get('view')),
+    kiosk: params.get('kiosk') === '1' && Boolean(params.get('from'))
+  };
+};
+
+// Absolute link that opens the app starting from a location, as a kiosk when asked
+export const createLocationLink = (pageUrl, locationId, { kiosk = false } = {}) => {
+  const url = new URL(pageUrl);
+  url.search = formatDeepLink('', { from: locationId, kiosk: kiosk ? '1' : null });
+  url.hash = '';
+  return url.toString();
+};
+
+// The query string with the given parts of a link replaced. Parts set to null are removed
+// and parts left undefined are kept as they are; other query parameters are untouched.
+export const formatDeepLink = (search, changes) => {
+  const params = new URLSearchParams(search);
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (value === null || value === '') {
+      params.delete(key);
+    } else {
+      params.set(key, key === 'view' ? formatView(value) : value);
+    }
+  });
+
+  // Commas are fine in a query and keep views readable
+  const query = params.toString().replace(/%2C/gi, ',');
+  return query ? `?${query}` : '';
+};
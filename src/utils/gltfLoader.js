@@ -0,0 +1,9 @@
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+
+export const createGltfLoader = () => {
+  const gltfLoader = new GLTFLoader();
+  // Models exported with EXT_meshopt_compression (e.g. tower-small.glb) need the decoder
+  gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+  return gltfLoader;
+};
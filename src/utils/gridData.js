@@ -0,0 +1,477 @@
+import * as THREE from 'three';
+
+// Loader, validator and helpers for the exported data/grid.json format.
+// Cells are addressed by integer (x, z) indices where index = floor(world / cellSize),
+// matching the gridPosition stored with each marked location.
+export const GRID_DATA_VERSION = '1.5';
+export const SUPPORTED_GRID_DATA_VERSIONS = ['1.0', '1.1', '1.2', '1.3', '1.4', '1.5'];
+// Before 1.5 connector costs were counted in cells rather than metres
+const CELL_COST_VERSIONS = ['1.0', '1.1', '1.2', '1.3', '1.4'];
+export const DEFAULT_GRID_URL = '/data/grid.json';
+
+// Vertical connectors link a cell on one floor to a cell on another
+export const CONNECTOR_TYPES = {
+  STAIRS: 'stairs',
+  LIFT: 'lift',
+  ESCALATOR: 'escalator'
+};
+
+// Traversal cost in metres of walking, so a connector competes with the walk around it
+// whatever the grid's cell size
+export const DEFAULT_CONNECTOR_COSTS = {
+  [CONNECTOR_TYPES.STAIRS]: 10,
+  [CONNECTOR_TYPES.LIFT]: 15,
+  [CONNECTOR_TYPES.ESCALATOR]: 8
+};
+
+// Optional per-cell attributes used by the routing profiles:
+//   width    clear width in metres, overriding the width measured from the grid
+//   stepFree false for cells with a step or kerb that a wheelchair cannot cross
+//   cost     multiplier (at least 1) on the cost of walking through the cell
+const CELL_ATTRIBUTE_KEYS = ['width', 'stepFree', 'cost'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isCellIndex = (value) => Array.isArray(value) && value.length === 2 && value.every(Number.isInteger);
+
+export class GridDataError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n- ${errors.join('\n- ')}` : message);
+    this.name = 'GridDataError';
+    this.errors = errors;
+  }
+}
+
+export const cellKey = (x, z) => `${x},${z}`;
+
+export const parseCellKey = (key) => {
+  const [x, z] = key.split(',').map(Number);
+  return { x, z };
+};
+
+const validateCellAttributes = (entry, path, errors) => {
+  if (!Array.isArray(entry) || entry.length !== 3 || !isCellIndex(entry.slice(0, 2)) || !isPlainObject(entry[2])) {
+    errors.push(`${path} must be an [x, z, { width, stepFree, cost }] entry`);
+    return;
+  }
+  const attributes = entry[2];
+  Object.keys(attributes).forEach(key => {
+    if (!CELL_ATTRIBUTE_KEYS.includes(key)) {
+      errors.push(`${path} has unknown attribute "${key}" (expected ${CELL_ATTRIBUTE_KEYS.join(', ')})`);
+    }
+  });
+  if (attributes.width !== undefined && (!isFiniteNumber(attributes.width) || attributes.width <= 0)) {
+    errors.push(`${path}.width must be a positive number of metres`);
+  }
+  if (attributes.stepFree !== undefined && typeof attributes.stepFree !== 'boolean') {
+    errors.push(`${path}.stepFree must be true or false`);
+  }
+  // Below 1 the pathfinder's distance heuristic would overestimate and miss shorter routes
+  if (attributes.cost !== undefined && (!isFiniteNumber(attributes.cost) || attributes.cost < 1)) {
+    errors.push(`${path}.cost must be a number of at least 1`);
+  }
+};
+
+// Returns a list of human readable problems; an empty list means the data is valid
+export const validateGridData = (data) => {
+  const errors = [];
+
+  if (!isPlainObject(data)) {
+    return ['Grid data must be a JSON object with "metadata" and "grid"'];
+  }
+
+  if (!isPlainObject(data.metadata)) {
+    errors.push('metadata must be an object');
+  } else if (!SUPPORTED_GRID_DATA_VERSIONS.includes(String(data.metadata.version))) {
+    errors.push(`metadata.version "${data.metadata.version}" is not supported (expected one of ${SUPPORTED_GRID_DATA_VERSIONS.join(', ')})`);
+  }
+
+  const grid = data.grid;
+  if (!isPlainObject(grid)) {
+    errors.push('grid must be an object');
+    return errors;
+  }
+
+  if (!Number.isInteger(grid.size) || grid.size <= 0) {
+    errors.push('grid.size must be a positive integer');
+  }
+  if (!isFiniteNumber(grid.cellSize) || grid.cellSize <= 0) {
+    errors.push('grid.cellSize must be a positive number');
+  }
+  if (!isFiniteNumber(grid.height)) {
+    errors.push('grid.height must be a finite number');
+  }
+  if (!Array.isArray(grid.floors) || grid.floors.length === 0) {
+    errors.push('grid.floors must be a non-empty array of heights');
+  } else {
+    grid.floors.forEach((floor, index) => {
+      if (!isFiniteNumber(floor)) {
+        errors.push(`grid.floors[${index}] must be a finite number`);
+      }
+    });
+  }
+  if (grid.currentFloor !== undefined &&
+      (!Number.isInteger(grid.currentFloor) || !Array.isArray(grid.floors) ||
+       grid.currentFloor < 0 || grid.currentFloor >= grid.floors.length)) {
+    errors.push('grid.currentFloor must be an index into grid.floors');
+  }
+
+  if (grid.floorIds !== undefined) {
+    if (!Array.isArray(grid.floorIds) || (Array.isArray(grid.floors) && grid.floorIds.length !== grid.floors.length)) {
+      errors.push('grid.floorIds must be an array with one building floor id (or null) per floor');
+    } else {
+      grid.floorIds.forEach((floorId, index) => {
+        if (floorId !== null && typeof floorId !== 'string') {
+          errors.push(`grid.floorIds[${index}] must be a string or null`);
+        }
+      });
+    }
+  }
+
+  if (grid.cells !== undefined) {
+    if (!Array.isArray(grid.cells)) {
+      errors.push('grid.cells must be an array with one entry per floor');
+    } else {
+      if (Array.isArray(grid.floors) && grid.cells.length !== grid.floors.length) {
+        errors.push(`grid.cells has ${grid.cells.length} entries but there are ${grid.floors.length} floors`);
+      }
+      grid.cells.forEach((floorCells, floorIndex) => {
+        const path = `grid.cells[${floorIndex}]`;
+        if (!isPlainObject(floorCells)) {
+          errors.push(`${path} must be an object with "walkable" and "blocked" lists`);
+          return;
+        }
+        ['walkable', 'blocked'].forEach(state => {
+          const list = floorCells[state];
+          if (list === undefined) return;
+          if (!Array.isArray(list)) {
+            errors.push(`${path}.${state} must be an array of [x, z] cell indices`);
+            return;
+          }
+          const badIndex = list.findIndex(cell => !isCellIndex(cell));
+          if (badIndex !== -1) {
+            errors.push(`${path}.${state}[${badIndex}] must be an [x, z] pair of integers`);
+          }
+        });
+        if (floorCells.attributes !== undefined) {
+          if (!Array.isArray(floorCells.attributes)) {
+            errors.push(`${path}.attributes must be an array of [x, z, { width, stepFree, cost }] entries`);
+          } else {
+            floorCells.attributes.forEach((entry, index) => {
+              validateCellAttributes(entry, `${path}.attributes[${index}]`, errors);
+            });
+          }
+        }
+      });
+    }
+  }
+
+  if (grid.connectors !== undefined) {
+    if (!Array.isArray(grid.connectors)) {
+      errors.push('grid.connectors must be an array');
+    } else {
+      const connectorTypes = Object.values(CONNECTOR_TYPES);
+      const floorCount = Array.isArray(grid.floors) ? grid.floors.length : 0;
+      grid.connectors.forEach((connector, index) => {
+        const path = `grid.connectors[${index}]`;
+        if (!isPlainObject(connector)) {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+        if (typeof connector.id !== 'string' || connector.id === '') {
+          errors.push(`${path}.id must be a non-empty string`);
+        }
+        if (!connectorTypes.includes(connector.type)) {
+          errors.push(`${path}.type must be one of ${connectorTypes.join(', ')}`);
+        }
+        // A free connector would let the route search undercut its distance estimate
+        if (connector.cost !== undefined && (!isFiniteNumber(connector.cost) || connector.cost <= 0)) {
+          errors.push(`${path}.cost must be a positive number`);
+        }
+        if (connector.stepFree !== undefined && typeof connector.stepFree !== 'boolean') {
+          errors.push(`${path}.stepFree must be true or false`);
+        }
+        if (connector.width !== undefined && connector.width !== null &&
+            (!isFiniteNumber(connector.width) || connector.width <= 0)) {
+          errors.push(`${path}.width must be a positive number of metres`);
+        }
+        ['from', 'to'].forEach(end => {
+          const cell = connector[end];
+          if (!isPlainObject(cell) || !Number.isInteger(cell.x) || !Number.isInteger(cell.z)) {
+            errors.push(`${path}.${end} must be a { floor, x, z } cell`);
+          } else if (!Number.isInteger(cell.floor) || cell.floor < 0 || cell.floor >= floorCount) {
+            errors.push(`${path}.${end}.floor must be an index into grid.floors`);
+          }
+        });
+      });
+    }
+  }
+
+  return errors;
+};
+
+// Version 1.0 exports carry no per-cell data, so every cell of the square grid is walkable
+const fillSquareGrid = (size) => {
+  const cells = new Map();
+  const half = Math.floor(size / 2);
+  for (let x = -half; x < size - half; x++) {
+    for (let z = -half; z < size - half; z++) {
+      cells.set(cellKey(x, z), true);
+    }
+  }
+  return cells;
+};
+
+const normalizeConnector = (connector) => ({
+  id: connector.id,
+  name: connector.name || '',
+  type: connector.type,
+  from: { floor: connector.from.floor, x: connector.from.x, z: connector.from.z },
+  to: { floor: connector.to.floor, x: connector.to.x, z: connector.to.z },
+  cost: connector.cost > 0 ? connector.cost : DEFAULT_CONNECTOR_COSTS[connector.type],
+  bidirectional: connector.bidirectional !== false,
+  // Only lifts are step-free unless the author says otherwise
+  stepFree: connector.stepFree ?? connector.type === CONNECTOR_TYPES.LIFT,
+  width: connector.width ?? null
+});
+
+export const createConnector = ({ name = '', type, from, to, cost, bidirectional = true, stepFree, width }) => normalizeConnector({
+  id: `connector_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+  name,
+  type,
+  from,
+  to,
+  cost,
+  bidirectional,
+  stepFree,
+  width
+});
+
+// floorIds ties each grid floor to a floor of the loaded building manifest (null when unknown)
+// attributes holds one Map per floor from cell key to that cell's attributes
+export const createGrid = ({ size, cellSize, height = 0, floors, floorIds, currentFloor = 0, cells, attributes, connectors = [] }) => ({
+  size,
+  cellSize,
+  height,
+  floors: [...floors],
+  floorIds: floorIds ? [...floorIds] : floors.map(() => null),
+  currentFloor,
+  cells: cells || floors.map(() => new Map()),
+  attributes: attributes || floors.map(() => new Map()),
+  connectors: connectors.map(normalizeConnector)
+});
+
+export const createSquareGrid = ({ size, cellSize, height = 0.1, floors = [0] }) => createGrid({
+  size,
+  cellSize,
+  height,
+  floors,
+  cells: floors.map(() => fillSquareGrid(size))
+});
+
+export const parseGridData = (data) => {
+  const errors = validateGridData(data);
+  if (errors.length > 0) {
+    throw new GridDataError('Invalid grid data', errors);
+  }
+
+  const { grid } = data;
+  const cells = grid.floors.map((_, floorIndex) => {
+    const floorCells = grid.cells?.[floorIndex];
+    if (!floorCells) {
+      return fillSquareGrid(grid.size);
+    }
+    const map = new Map();
+    (floorCells.walkable || []).forEach(([x, z]) => map.set(cellKey(x, z), true));
+    (floorCells.blocked || []).forEach(([x, z]) => map.set(cellKey(x, z), false));
+    return map;
+  });
+  const attributes = grid.floors.map((_, floorIndex) => new Map(
+    (grid.cells?.[floorIndex]?.attributes || []).map(([x, z, cellAttributes]) => [cellKey(x, z), { ...cellAttributes }])
+  ));
+
+  const costScale = CELL_COST_VERSIONS.includes(String(data.metadata.version)) ? grid.cellSize : 1;
+  const connectors = (grid.connectors || []).map(connector =>
+    (connector.cost === undefined ? connector : { ...connector, cost: connector.cost * costScale }));
+
+  return createGrid({ ...grid, cells, attributes, connectors });
+};
+
+const parseJson = (text, source) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new GridDataError(`${source} is not valid JSON`, [error.message]);
+  }
+};
+
+export const fetchGridData = async (url = DEFAULT_GRID_URL) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new GridDataError(`Failed to fetch ${url} (HTTP ${response.status})`);
+  }
+  return parseGridData(parseJson(await response.text(), url));
+};
+
+export const readGridFile = async (file) => {
+  const text = await file.text();
+  return parseGridData(parseJson(text, file.name));
+};
+
+export const serializeGridData = (grid) => ({
+  metadata: {
+    exportDate: new Date().toISOString(),
+    version: GRID_DATA_VERSION
+  },
+  grid: {
+    size: grid.size,
+    cellSize: grid.cellSize,
+    height: grid.height,
+    floors: [...grid.floors],
+    floorIds: [...grid.floorIds],
+    currentFloor: grid.currentFloor,
+    cells: grid.cells.map((floorCells, floorIndex) => {
+      const walkable = [];
+      const blocked = [];
+      floorCells.forEach((isWalkable, key) => {
+        const { x, z } = parseCellKey(key);
+        (isWalkable ? walkable : blocked).push([x, z]);
+      });
+      const attributes = [];
+      grid.attributes[floorIndex]?.forEach((cellAttributes, key) => {
+        const { x, z } = parseCellKey(key);
+        attributes.push([x, z, { ...cellAttributes }]);
+      });
+      return attributes.length > 0 ? { walkable, blocked, attributes } : { walkable, blocked };
+    }),
+    connectors: grid.connectors.map(normalizeConnector)
+  }
+});
+
+// Cell queries
+
+export const hasCell = (grid, floor, x, z) => grid.cells[floor]?.has(cellKey(x, z)) || false;
+
+export const isCellWalkable = (grid, floor, x, z) => grid.cells[floor]?.get(cellKey(x, z)) === true;
+
+export const setCellWalkable = (grid, floor, x, z, walkable) => {
+  grid.cells[floor]?.set(cellKey(x, z), walkable);
+};
+
+export const getCellAttributes = (grid, floor, x, z) => grid.attributes?.[floor]?.get(cellKey(x, z)) || null;
+
+// Merges attributes into a cell; undefined values remove an attribute
+export const setCellAttributes = (grid, floor, x, z, attributes) => {
+  const floorAttributes = grid.attributes?.[floor];
+  if (!floorAttributes) return;
+
+  const key = cellKey(x, z);
+  const merged = { ...floorAttributes.get(key), ...attributes };
+  Object.keys(merged).forEach(name => {
+    if (merged[name] === undefined) delete merged[name];
+  });
+  if (Object.keys(merged).length > 0) {
+    floorAttributes.set(key, merged);
+  } else {
+    floorAttributes.delete(key);
+  }
+};
+
+// Clear width of every walkable cell on a floor in metres: the shorter of the unbroken runs of
+// walkable cells through it along x and along z, so a corridor two cells wide measures two cells.
+// Cells with an authored width attribute keep that value.
+export const measureCellClearance = (grid, floor) => {
+  const floorCells = grid.cells[floor];
+  const clearance = new Map();
+  if (!floorCells) return clearance;
+
+  // Run length along one axis, walked once from the first cell of each run
+  const measureRuns = (dx, dz) => {
+    const runs = new Map();
+    floorCells.forEach((walkable, key) => {
+      if (!walkable) return;
+      const { x, z } = parseCellKey(key);
+      if (isCellWalkable(grid, floor, x - dx, z - dz)) return;
+
+      let length = 0;
+      while (isCellWalkable(grid, floor, x + dx * length, z + dz * length)) {
+        length++;
+      }
+      for (let i = 0; i < length; i++) {
+        runs.set(cellKey(x + dx * i, z + dz * i), length);
+      }
+    });
+    return runs;
+  };
+  const runsAlongX = measureRuns(1, 0);
+  const runsAlongZ = measureRuns(0, 1);
+
+  floorCells.forEach((walkable, key) => {
+    if (!walkable) return;
+    const width = grid.attributes?.[floor]?.get(key)?.width;
+    clearance.set(key, width ?? Math.min(runsAlongX.get(key), runsAlongZ.get(key)) * grid.cellSize);
+  });
+
+  return clearance;
+};
+
+export const getConnectorsAtCell = (grid, floor, x, z) => grid.connectors.filter(connector =>
+  (connector.from.floor === floor && connector.from.x === x && connector.from.z === z) ||
+  (connector.bidirectional && connector.to.floor === floor && connector.to.x === x && connector.to.z === z));
+
+export const getFloorIndexForHeight = (grid, y) => {
+  let closest = 0;
+  let closestDistance = Infinity;
+  grid.floors.forEach((floorHeight, index) => {
+    const distance = Math.abs(y - grid.height - floorHeight);
+    if (distance < closestDistance) {
+      closestDistance = distance;
+      closest = index;
+    }
+  });
+  return closest;
+};
+
+export const worldToCell = (grid, position) => ({
+  floor: getFloorIndexForHeight(grid, position.y),
+  x: Math.floor(position.x / grid.cellSize),
+  z: Math.floor(position.z / grid.cellSize)
+});
+
+export const cellToWorld = (grid, floor, x, z) => new THREE.Vector3(
+  (x + 0.5) * grid.cellSize,
+  grid.floors[floor] + grid.height,
+  (z + 0.5) * grid.cellSize
+);
+
+// Finds the walkable cell closest to (x, z) on a floor, searching outward ring by ring
+export const findNearestWalkableCell = (grid, floor, x, z, maxRadius = 10) => {
+  if (isCellWalkable(grid, floor, x, z)) {
+    return { floor, x, z };
+  }
+
+  for (let radius = 1; radius <= maxRadius; radius++) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dz = -radius; dz <= radius; dz++) {
+        if (Math.max(Math.abs(dx), Math.abs(dz)) !== radius) continue;
+        if (!isCellWalkable(grid, floor, x + dx, z + dz)) continue;
+        const distance = dx * dx + dz * dz;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = { floor, x: x + dx, z: z + dz };
+        }
+      }
+    }
+    if (best) return best;
+  }
+
+  return null;
+};
+
+export const locationToCell = (grid, location) => {
+  const floor = getFloorIndexForHeight(grid, location.coordinates.y);
+  const { x, z } = location.gridPosition || worldToCell(grid, location.coordinates);
+  return findNearestWalkableCell(grid, floor, x, z);
+};
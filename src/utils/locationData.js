@@ -0,0 +1,191 @@
+// Loader and validator for the exported data/locations.json format
+export const LOCATION_DATA_VERSION = '1.3';
+export const SUPPORTED_LOCATION_DATA_VERSIONS = ['1.0', '1.1', '1.2', '1.3'];
+export const DEFAULT_LOCATIONS_URL = '/data/locations.json';
+
+// Kinds of place a location can be. keywords are other words visitors search for them by;
+// categories outside this list are kept but get the default icon.
+export const LOCATION_CATEGORIES = {
+  restroom: { label: 'Restroom', icon: '🚻', keywords: ['toilet', 'toilets', 'wc', 'bathroom', 'loo', 'washroom'] },
+  exit: { label: 'Exit', icon: '🚪', keywords: ['way out', 'fire exit'] },
+  entrance: { label: 'Entrance', icon: '🚪', keywords: ['way in', 'door', 'main door'] },
+  lift: { label: 'Lift', icon: '🛗', keywords: ['elevator'] },
+  stairs: { label: 'Stairs', icon: '🪜', keywords: ['stairway', 'staircase', 'steps'] },
+  ward: { label: 'Ward', icon: '🛏️', keywords: ['unit', 'bay'] },
+  office: { label: 'Office', icon: '💼', keywords: ['admin'] },
+  reception: { label: 'Reception', icon: '🛎️', keywords: ['front desk', 'check in', 'desk'] },
+  cafe: { label: 'Café', icon: '☕', keywords: ['coffee', 'canteen', 'restaurant', 'food'] },
+  shop: { label: 'Shop', icon: '🛍️', keywords: ['store', 'kiosk'] },
+  pharmacy: { label: 'Pharmacy', icon: '💊', keywords: ['chemist', 'dispensary'] },
+  parking: { label: 'Parking', icon: '🅿️', keywords: ['car park', 'garage'] },
+  info: { label: 'Information', icon: 'ℹ️', keywords: ['help', 'help desk', 'information desk'] }
+};
+
+const DEFAULT_LOCATION_ICON = '📍';
+
+export const getLocationIcon = (location) =>
+  location.icon || LOCATION_CATEGORIES[location.category]?.icon || DEFAULT_LOCATION_ICON;
+
+export const getCategoryLabel = (category) => LOCATION_CATEGORIES[category]?.label || category;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+export class LocationDataError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n- ${errors.join('\n- ')}` : message);
+    this.name = 'LocationDataError';
+    this.errors = errors;
+  }
+}
+
+const validateVector = (value, path, axes, errors) => {
+  if (!isPlainObject(value)) {
+    errors.push(`${path} must be an object with ${axes.join(', ')}`);
+    return;
+  }
+  axes.forEach(axis => {
+    if (!isFiniteNumber(value[axis])) {
+      errors.push(`${path}.${axis} must be a finite number`);
+    }
+  });
+};
+
+const validateLocation = (location, path, errors) => {
+  if (!isPlainObject(location)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  if (typeof location.id !== 'string' || location.id.trim() === '') {
+    errors.push(`${path}.id must be a non-empty string`);
+  }
+  if (typeof location.name !== 'string' || location.name.trim() === '') {
+    errors.push(`${path}.name must be a non-empty string`);
+  }
+  if (location.description !== undefined && location.description !== null && typeof location.description !== 'string') {
+    errors.push(`${path}.description must be a string`);
+  }
+
+  if (location.floorId !== undefined && location.floorId !== null && typeof location.floorId !== 'string') {
+    errors.push(`${path}.floorId must be a building floor id string`);
+  }
+
+  if (location.category !== undefined && location.category !== null &&
+      (typeof location.category !== 'string' || location.category.trim() === '')) {
+    errors.push(`${path}.category must be a non-empty string`);
+  }
+  ['tags', 'aliases'].forEach(key => {
+    if (location[key] !== undefined &&
+        (!Array.isArray(location[key]) || location[key].some(value => typeof value !== 'string'))) {
+      errors.push(`${path}.${key} must be an array of strings`);
+    }
+  });
+
+  validateVector(location.coordinates, `${path}.coordinates`, ['x', 'y', 'z'], errors);
+  // null for a location placed before there was a grid; it is snapped by its coordinates
+  if (location.gridPosition !== null) {
+    validateVector(location.gridPosition, `${path}.gridPosition`, ['x', 'z'], errors);
+  }
+
+  if (location.timestamp !== undefined && Number.isNaN(Date.parse(location.timestamp))) {
+    errors.push(`${path}.timestamp must be an ISO date string`);
+  }
+};
+
+// Returns a list of human readable problems; an empty list means the data is valid
+export const validateLocationData = (data) => {
+  const errors = [];
+
+  if (!isPlainObject(data)) {
+    return ['Location data must be a JSON object with "metadata" and "locations"'];
+  }
+
+  if (!isPlainObject(data.metadata)) {
+    errors.push('metadata must be an object');
+  } else if (!SUPPORTED_LOCATION_DATA_VERSIONS.includes(String(data.metadata.version))) {
+    errors.push(`metadata.version "${data.metadata.version}" is not supported (expected one of ${SUPPORTED_LOCATION_DATA_VERSIONS.join(', ')})`);
+  }
+
+  if (!Array.isArray(data.locations)) {
+    errors.push('locations must be an array');
+    return errors;
+  }
+
+  const seenIds = new Set();
+  data.locations.forEach((location, index) => {
+    validateLocation(location, `locations[${index}]`, errors);
+    if (isPlainObject(location) && typeof location.id === 'string') {
+      if (seenIds.has(location.id)) {
+        errors.push(`locations[${index}].id "${location.id}" is duplicated`);
+      }
+      seenIds.add(location.id);
+    }
+  });
+
+  if (isPlainObject(data.metadata) && data.metadata.totalLocations !== undefined &&
+      data.metadata.totalLocations !== data.locations.length) {
+    errors.push(`metadata.totalLocations is ${data.metadata.totalLocations} but ${data.locations.length} locations were found`);
+  }
+
+  return errors;
+};
+
+const normalizeLocation = (location) => ({
+  ...location,
+  description: location.description || '',
+  floorId: location.floorId ?? null,
+  category: location.category ? location.category.trim().toLowerCase() : null,
+  tags: location.tags ? [...location.tags] : [],
+  aliases: location.aliases ? [...location.aliases] : [],
+  coordinates: {
+    x: location.coordinates.x,
+    y: location.coordinates.y,
+    z: location.coordinates.z
+  },
+  gridPosition: location.gridPosition
+    ? { x: location.gridPosition.x, z: location.gridPosition.z }
+    : null
+});
+
+export const parseLocationData = (data) => {
+  const errors = validateLocationData(data);
+  if (errors.length > 0) {
+    throw new LocationDataError('Invalid location data', errors);
+  }
+
+  return {
+    metadata: { ...data.metadata },
+    locations: data.locations.map(normalizeLocation)
+  };
+};
+
+const parseJson = (text, source) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new LocationDataError(`${source} is not valid JSON`, [error.message]);
+  }
+};
+
+export const fetchLocationData = async (url = DEFAULT_LOCATIONS_URL) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new LocationDataError(`Failed to fetch ${url} (HTTP ${response.status})`);
+  }
+  return parseLocationData(parseJson(await response.text(), url));
+};
+
+export const readLocationFile = async (file) => {
+  const text = await file.text();
+  return parseLocationData(parseJson(text, file.name));
+};
+
+export const serializeLocationData = (locations) => ({
+  metadata: {
+    exportDate: new Date().toISOString(),
+    totalLocations: locations.length,
+    version: LOCATION_DATA_VERSION
+  },
+  locations: locations.map(normalizeLocation)
+});
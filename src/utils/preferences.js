@@ -0,0 +1,61 @@
+// Small visitor preferences (camera mode, favourites, recent searches...) kept across
+// sessions. They are read from IndexedDB once at start-up by loadStoredPreferences, so
+// loadPreference can answer synchronously in render; savePreference writes through.
+// Without IndexedDB they fall back to localStorage, and without that they simply aren't
+// remembered.
+import { STORAGE_STORES, readRecord, writeRecord } from './storage';
+
+const STORAGE_PREFIX = 'indoor-nav:';
+const PREFERENCES_KEY = 'preferences';
+
+let preferences = {};
+let useLocalStorage = false;
+
+const readLocalStorage = () => {
+  const stored = {};
+  try {
+    for (let i = 0; i < window.localStorage.length; i++) {
+      const key = window.localStorage.key(i);
+      if (key.startsWith(STORAGE_PREFIX)) {
+        stored[key.slice(STORAGE_PREFIX.length)] = JSON.parse(window.localStorage.getItem(key));
+      }
+    }
+  } catch {
+    // Nothing readable
+  }
+  return stored;
+};
+
+// Loads stored preferences before the app renders. Preferences saved to localStorage by
+// earlier versions are carried over the first time.
+export const loadStoredPreferences = async () => {
+  try {
+    const stored = await readRecord(STORAGE_STORES.SETTINGS, PREFERENCES_KEY);
+    preferences = stored || readLocalStorage();
+    if (!stored) {
+      await writeRecord(STORAGE_STORES.SETTINGS, PREFERENCES_KEY, preferences);
+    }
+  } catch (error) {
+    console.warn('Preferences fall back to localStorage:', error);
+    useLocalStorage = true;
+    preferences = readLocalStorage();
+  }
+};
+
+export const loadPreference = (key, fallback) => (key in preferences ? preferences[key] : fallback);
+
+export const savePreference = (key, value) => {
+  preferences = { ...preferences, [key]: value };
+
+  if (useLocalStorage) {
+    try {
+      window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    } catch {
+      // Not remembered this time
+    }
+    return;
+  }
+  writeRecord(STORAGE_STORES.SETTINGS, PREFERENCES_KEY, preferences).catch(error => {
+    console.warn('Could not save preferences:', error);
+  });
+};
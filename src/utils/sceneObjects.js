@@ -0,0 +1,10 @@
+// Small helpers for objects in the three.js scene
+
+// Whether an object is drawn: it and every ancestor visible. Hidden floors (see useFloorView)
+// hide a whole subtree through one group, so the object's own flag isn't enough.
+export const isShown = (object) => {
+  for (let current = object; current; current = current.parent) {
+    if (!current.visible) return false;
+  }
+  return true;
+};
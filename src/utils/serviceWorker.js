@@ -0,0 +1,12 @@
+// Registers public/sw.js in production builds. The dev server is left uncached so edits
+// show up on reload. import.meta.env is Vite's; under a bundler without it nothing is
+// registered rather than the app failing to start.
+export const registerServiceWorker = () => {
+  if (!import.meta.env?.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.warn('Offline support is unavailable:', error);
+    });
+  });
+};
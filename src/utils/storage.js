@@ -0,0 +1,109 @@
+// IndexedDB storage for everything that should survive a reload: model files keyed by the
+// hash of their content, the locations and grid authored for each building, and small
+// visitor settings. Browsers without IndexedDB (or with it blocked) reject with a
+// StorageError, and callers carry on without remembering anything.
+
+const DATABASE_NAME = 'indoor-nav';
+const DATABASE_VERSION = 1;
+
+export const STORAGE_STORES = {
+  MODELS: 'models', // content hash -> { hash, name, type, blob }
+  MAPS: 'maps', // building hash -> { locations, grid, savedAt } in their exported JSON formats
+  SETTINGS: 'settings' // key -> any structured-cloneable value
+};
+
+export class StorageError extends Error {
+  constructor(message, cause = null) {
+    super(cause ? `${message}: ${cause.message || cause}` : message);
+    this.name = 'StorageError';
+    this.cause = cause;
+  }
+}
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new StorageError('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        Object.values(STORAGE_STORES).forEach(storeName => {
+          if (!database.objectStoreNames.contains(storeName)) {
+            database.createObjectStore(storeName);
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new StorageError('Could not open storage', request.error));
+      request.onblocked = () => reject(new StorageError('Storage is in use by an older version of the app'));
+    });
+    // Let a later call try again after a failure
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+// Runs one request against a store and resolves with its result once the transaction commits
+const runRequest = async (storeName, mode, createRequest) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = createRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(new StorageError(`Storage ${mode} on ${storeName} failed`, transaction.error));
+    transaction.onabort = () => reject(new StorageError(`Storage ${mode} on ${storeName} was aborted`, transaction.error));
+  });
+};
+
+// The stored value, or undefined when there is none
+export const readRecord = (storeName, key) =>
+  runRequest(storeName, 'readonly', store => store.get(key));
+
+export const writeRecord = (storeName, key, value) =>
+  runRequest(storeName, 'readwrite', store => store.put(value, key));
+
+export const deleteRecord = (storeName, key) =>
+  runRequest(storeName, 'readwrite', store => store.delete(key));
+
+export const readAllKeys = (storeName) =>
+  runRequest(storeName, 'readonly', store => store.getAllKeys());
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+// FNV-1a, for pages served without HTTPS where crypto.subtle is missing
+const fallbackHash = (bytes) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `fnv1a-${(hash >>> 0).toString(16).padStart(8, '0')}-${bytes.length}`;
+};
+
+// Hex digest of some bytes (an ArrayBuffer, typed array, Blob or string), identical
+// content always giving the same hash
+export const hashContent = async (content) => {
+  let bytes;
+  if (typeof content === 'string') {
+    bytes = new TextEncoder().encode(content);
+  } else if (content instanceof Blob) {
+    bytes = new Uint8Array(await content.arrayBuffer());
+  } else if (ArrayBuffer.isView(content)) {
+    bytes = new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+  } else {
+    bytes = new Uint8Array(content);
+  }
+
+  if (globalThis.crypto?.subtle) {
+    return toHex(await globalThis.crypto.subtle.digest('SHA-256', bytes));
+  }
+  return fallbackHash(bytes);
+};
@@ -0,0 +1,49 @@
+import * as THREE from 'three';
+
+const DEFAULT_OPTIONS = {
+  fontSize: 48, // canvas pixels; the sprite's world size comes from `height`
+  height: 0.35, // world units
+  color: '#ffffff',
+  background: 'rgba(30, 30, 40, 0.85)',
+  padding: 16,
+  radius: 12
+};
+
+// A camera-facing label drawn onto a canvas texture. The sprite keeps the text's aspect
+// ratio at the given world height, and is drawn above the scene so walls don't cut it.
+export const createTextSprite = (text, options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const font = `600 ${settings.fontSize}px system-ui, -apple-system, sans-serif`;
+
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  context.font = font;
+  const textWidth = Math.ceil(context.measureText(text).width);
+  canvas.width = textWidth + settings.padding * 2;
+  canvas.height = settings.fontSize + settings.padding * 2;
+
+  // Resizing the canvas resets its state
+  context.font = font;
+  context.fillStyle = settings.background;
+  context.beginPath();
+  context.roundRect(0, 0, canvas.width, canvas.height, settings.radius);
+  context.fill();
+  context.fillStyle = settings.color;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const material = new THREE.SpriteMaterial({ map: texture, depthTest: false, depthWrite: false });
+  const sprite = new THREE.Sprite(material);
+  sprite.scale.set(settings.height * canvas.width / canvas.height, settings.height, 1);
+  sprite.center.set(0.5, 0); // anchored at the bottom so it sits on top of what it labels
+  sprite.renderOrder = 10;
+  return sprite;
+};
+
+export const disposeTextSprite = (sprite) => {
+  sprite.material.map.dispose();
+  sprite.material.dispose();
+};
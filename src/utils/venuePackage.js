@@ -0,0 +1,266 @@
+// Loader, validator and writer for venue packages: one .zip holding a building's models
+// together with the locations and grid authored for it, so a whole venue moves in one file.
+//
+// venue.json at the root of the zip describes the rest:
+// {
+//   "metadata": { "version": "1.0", "name": "RBH Demo", "exportDate": "2025-10-06T09:49:36.408Z" },
+//   "building": { building manifest (see buildingManifest.js), model paths inside the zip },
+//   "locations": "data/locations.json",
+//   "grid": "data/grid.json",
+//   "files": [{ "path": "models/ground-floor.glb", "size": 34380, "sha256": "9f86d0…" }]
+// }
+//
+// Every file the manifest refers to must be listed under "files" and match its size and
+// SHA-256 checksum. "grid" may be null. Zips without a venue.json are read the way the early
+// hand-made exports were laid out: models/*.glb with data/locations.json and data/grid.json.
+import { readZipArchive, createZipArchive } from './zipArchive';
+import { BUILDING_MANIFEST_VERSION, validateBuildingManifest, parseBuildingManifest } from './buildingManifest';
+import { readBuildingModels } from './buildingCache';
+import { hashContent } from './storage';
+import { parseLocationData, serializeLocationData } from './locationData';
+import { parseGridData, serializeGridData } from './gridData';
+
+export const VENUE_PACKAGE_VERSION = '1.0';
+export const SUPPORTED_VENUE_PACKAGE_VERSIONS = ['1.0'];
+const VENUE_MANIFEST_PATH = 'venue.json';
+const LOCATIONS_PATH = 'data/locations.json';
+const GRID_PATH = 'data/grid.json';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPackagePath = (value) => typeof value === 'string' && value !== '' && !value.startsWith('/') && !value.split('/').includes('..');
+
+export class VenuePackageError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n- ${errors.join('\n- ')}` : message);
+    this.name = 'VenuePackageError';
+    this.errors = errors;
+  }
+}
+
+// Returns a list of human readable problems; an empty list means the manifest is valid
+export const validateVenueManifest = (data) => {
+  const errors = [];
+
+  if (!isPlainObject(data)) {
+    return ['venue.json must be a JSON object with "metadata", "building", "locations" and "files"'];
+  }
+
+  if (!isPlainObject(data.metadata)) {
+    errors.push('metadata must be an object');
+  } else if (!SUPPORTED_VENUE_PACKAGE_VERSIONS.includes(String(data.metadata.version))) {
+    errors.push(`metadata.version "${data.metadata.version}" is not supported (expected one of ${SUPPORTED_VENUE_PACKAGE_VERSIONS.join(', ')})`);
+  }
+
+  errors.push(...validateBuildingManifest(data.building).map(error => `building: ${error}`));
+
+  if (!isPackagePath(data.locations)) {
+    errors.push('locations must be the path of a locations.json file in the package');
+  }
+  if (data.grid !== null && data.grid !== undefined && !isPackagePath(data.grid)) {
+    errors.push('grid must be the path of a grid.json file in the package, or null');
+  }
+
+  if (!Array.isArray(data.files)) {
+    errors.push('files must be an array');
+    return errors;
+  }
+
+  const listed = new Set();
+  data.files.forEach((file, index) => {
+    const path = `files[${index}]`;
+    if (!isPlainObject(file)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (!isPackagePath(file.path)) {
+      errors.push(`${path}.path must be a relative path inside the package`);
+    } else if (listed.has(file.path)) {
+      errors.push(`${path}.path "${file.path}" is duplicated`);
+    } else {
+      listed.add(file.path);
+    }
+    if (!Number.isInteger(file.size) || file.size < 0) {
+      errors.push(`${path}.size must be a non-negative integer`);
+    }
+    if (typeof file.sha256 !== 'string' || !/^[0-9a-f]{64}$/.test(file.sha256)) {
+      errors.push(`${path}.sha256 must be a lowercase hex SHA-256 digest`);
+    }
+  });
+
+  // Everything the package loads has to be covered by a checksum
+  const referenced = [
+    ...(Array.isArray(data.building?.floors) ? data.building.floors.map(floor => floor?.model) : []),
+    data.locations,
+    data.grid
+  ].filter(isPackagePath);
+  referenced.forEach(path => {
+    if (!listed.has(path)) {
+      errors.push(`${path} is used but not listed in files`);
+    }
+  });
+
+  return errors;
+};
+
+// hashContent only gives SHA-256 digests where crypto.subtle exists, which browsers limit
+// to pages served over HTTPS (or localhost)
+const requireSha256 = (action) => {
+  if (!globalThis.crypto?.subtle) {
+    throw new VenuePackageError(`Venue packages can only be ${action} on a page served over HTTPS, where their checksums can be worked out`);
+  }
+};
+
+const verifyFiles = async (files, entries) => {
+  requireSha256('opened');
+  const errors = [];
+  for (const file of files) {
+    const data = entries.get(file.path);
+    if (!data) {
+      errors.push(`${file.path} is missing from the package`);
+    } else if (data.length !== file.size) {
+      errors.push(`${file.path} is ${data.length} bytes, expected ${file.size}`);
+    } else if (await hashContent(data) !== file.sha256) {
+      errors.push(`${file.path} does not match its checksum`);
+    }
+  }
+  return errors;
+};
+
+const parseJson = (bytes, source) => {
+  try {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new VenuePackageError(`${source} is not valid JSON`, [error.message]);
+  }
+};
+
+// venue.json equivalent for a zip laid out like the early hand-made exports
+const describeLegacyPackage = (entries, fileName) => {
+  const modelPaths = [...entries.keys()].filter(path => /^models\/[^/]+\.glb$/i.test(path)).sort();
+  if (modelPaths.length === 0) {
+    throw new VenuePackageError(`${fileName} is not a venue package`, [
+      `${VENUE_MANIFEST_PATH} is missing and there are no models/*.glb files`
+    ]);
+  }
+
+  const modelName = (path) => path.split('/').pop().replace(/\.glb$/i, '');
+  return {
+    metadata: { version: VENUE_PACKAGE_VERSION, name: modelPaths.length === 1 ? modelName(modelPaths[0]) : fileName },
+    building: {
+      metadata: { version: BUILDING_MANIFEST_VERSION },
+      floors: modelPaths.map((path, index) => ({ id: `floor-${index + 1}`, name: modelName(path), model: path }))
+    },
+    locations: entries.has(LOCATIONS_PATH) ? LOCATIONS_PATH : null,
+    grid: entries.has(GRID_PATH) ? GRID_PATH : null
+  };
+};
+
+// Unpacks a venue package picked by the user and returns
+// { manifest, resolveModelUrl, dispose, locations, grid } with locations as an array and
+// grid parsed or null. Nothing is returned unless every check passes. The caller must call
+// dispose() once the models are loaded to release the object URLs.
+export const readVenuePackageFile = async (file) => {
+  let entries;
+  try {
+    entries = await readZipArchive(await file.arrayBuffer());
+  } catch (error) {
+    throw new VenuePackageError(`${file.name} is not a readable zip`, error.errors?.length ? error.errors : [error.message]);
+  }
+
+  let venue;
+  if (entries.has(VENUE_MANIFEST_PATH)) {
+    venue = parseJson(entries.get(VENUE_MANIFEST_PATH), VENUE_MANIFEST_PATH);
+    const errors = validateVenueManifest(venue);
+    if (errors.length > 0) {
+      throw new VenuePackageError('Invalid venue package', errors);
+    }
+    const fileErrors = await verifyFiles(venue.files, entries);
+    if (fileErrors.length > 0) {
+      throw new VenuePackageError('The venue package is damaged', fileErrors);
+    }
+  } else {
+    venue = describeLegacyPackage(entries, file.name);
+  }
+
+  const manifest = parseBuildingManifest(venue.building);
+  const missing = manifest.floors
+    .filter(floor => !entries.has(floor.model))
+    .map(floor => `${floor.id}: ${floor.model} is missing from the package`);
+  if (missing.length > 0) {
+    throw new VenuePackageError('The venue package references missing models', missing);
+  }
+
+  const locations = venue.locations
+    ? parseLocationData(parseJson(entries.get(venue.locations), venue.locations)).locations
+    : [];
+  const grid = venue.grid ? parseGridData(parseJson(entries.get(venue.grid), venue.grid)) : null;
+
+  const urls = new Map(manifest.floors.map(floor => [
+    floor.id,
+    URL.createObjectURL(new Blob([entries.get(floor.model)], { type: 'model/gltf-binary' }))
+  ]));
+
+  return {
+    manifest: { ...manifest, name: venue.metadata.name || manifest.name },
+    locations,
+    grid,
+    resolveModelUrl: (floor) => urls.get(floor.id),
+    dispose: () => urls.forEach(url => URL.revokeObjectURL(url))
+  };
+};
+
+// Model path inside the package for each floor, keeping file names readable and unique
+const packageModelPaths = (floors) => {
+  const used = new Set();
+  return floors.map(floor => {
+    const fileName = floor.model.split('/').pop().split('?')[0] || `${floor.id}.glb`;
+    const path = used.has(`models/${fileName}`) ? `models/${floor.id}-${fileName}` : `models/${fileName}`;
+    used.add(path);
+    return path;
+  });
+};
+
+// Zip Blob holding the building, locations and grid in the format readVenuePackageFile
+// reads. resolveModelUrl must still point at the building's models.
+export const createVenuePackage = async (manifest, resolveModelUrl, locations, grid) => {
+  requireSha256('created');
+  const models = await readBuildingModels(manifest, resolveModelUrl);
+  const modelPaths = packageModelPaths(manifest.floors);
+
+  const files = await Promise.all(models.map(async (model, index) => ({
+    path: modelPaths[index],
+    data: new Uint8Array(await model.blob.arrayBuffer())
+  })));
+  const encoder = new TextEncoder();
+  files.push({ path: LOCATIONS_PATH, data: encoder.encode(JSON.stringify(serializeLocationData(locations), null, 2)) });
+  if (grid) {
+    files.push({ path: GRID_PATH, data: encoder.encode(JSON.stringify(serializeGridData(grid), null, 2)) });
+  }
+
+  const venue = {
+    metadata: {
+      version: VENUE_PACKAGE_VERSION,
+      name: manifest.name,
+      exportDate: new Date().toISOString()
+    },
+    building: {
+      metadata: { version: BUILDING_MANIFEST_VERSION, name: manifest.name },
+      floors: manifest.floors.map((floor, index) => ({
+        id: floor.id,
+        name: floor.name,
+        model: modelPaths[index],
+        elevation: floor.elevation,
+        offset: { ...floor.offset }
+      }))
+    },
+    locations: LOCATIONS_PATH,
+    grid: grid ? GRID_PATH : null,
+    files: await Promise.all(files.map(async ({ path, data }) => ({
+      path,
+      size: data.length,
+      sha256: await hashContent(data)
+    })))
+  };
+
+  return createZipArchive([{ path: VENUE_MANIFEST_PATH, data: JSON.stringify(venue, null, 2) }, ...files]);
+};
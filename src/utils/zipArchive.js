@@ -0,0 +1,199 @@
+// Minimal reader and writer for .zip archives, enough for venue packages without pulling in
+// a zip library. Entries are either stored or deflated; deflate goes through the browser's
+// CompressionStream/DecompressionStream. Zip64, encryption and multi-disk archives are not
+// supported.
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+export class ZipArchiveError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n- ${errors.join('\n- ')}` : message);
+    this.name = 'ZipArchiveError';
+    this.errors = errors;
+  }
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pipeBytes = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const canDeflate = () => typeof CompressionStream !== 'undefined';
+
+const findEndOfCentralDirectory = (view) => {
+  const last = view.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE;
+  const first = Math.max(0, last - MAX_COMMENT_LENGTH);
+  for (let offset = last; offset >= first; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) return offset;
+  }
+  return -1;
+};
+
+// Map of entry path -> Uint8Array for every file in the archive (folders are left out).
+// Sizes and CRCs are checked, so a damaged archive throws rather than yielding bad bytes.
+export const readZipArchive = async (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const endOffset = bytes.byteLength >= END_OF_CENTRAL_DIRECTORY_SIZE ? findEndOfCentralDirectory(view) : -1;
+  if (endOffset < 0) {
+    throw new ZipArchiveError('Not a zip archive');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  const directoryOffset = view.getUint32(endOffset + 16, true);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new ZipArchiveError('Zip64 archives are not supported');
+  }
+
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  const errors = [];
+  let offset = directoryOffset;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > bytes.byteLength || view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new ZipArchiveError('The zip directory is damaged');
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const crc = view.getUint32(offset + 16, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & FLAG_ENCRYPTED) {
+      errors.push(`${name} is encrypted`);
+      continue;
+    }
+    if (method !== METHOD_STORE && method !== METHOD_DEFLATE) {
+      errors.push(`${name} uses unsupported compression method ${method}`);
+      continue;
+    }
+    if (localOffset + 30 > bytes.byteLength || view.getUint32(localOffset, true) !== LOCAL_HEADER_SIGNATURE) {
+      errors.push(`${name} has a damaged header`);
+      continue;
+    }
+
+    const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const compressed = bytes.subarray(dataOffset, dataOffset + compressedSize);
+    let data;
+    try {
+      data = method === METHOD_STORE ? compressed : await pipeBytes(compressed, new DecompressionStream('deflate-raw'));
+    } catch (error) {
+      errors.push(`${name} could not be decompressed (${error.message})`);
+      continue;
+    }
+    if (data.length !== size || crc32(data) !== crc) {
+      errors.push(`${name} is corrupt (size or CRC mismatch)`);
+      continue;
+    }
+    entries.set(name, data);
+  }
+
+  if (errors.length > 0) {
+    throw new ZipArchiveError('The zip archive could not be read', errors);
+  }
+  return entries;
+};
+
+// MS-DOS date and time fields the zip headers use
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Zip Blob from [{ path, data }] with data as Uint8Array or string. Entries are deflated
+// when the browser can and it makes them smaller, otherwise stored.
+export const createZipArchive = async (files, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.path);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+    let method = METHOD_STORE;
+    let stored = data;
+    if (canDeflate()) {
+      const deflated = await pipeBytes(data, new CompressionStream('deflate-raw'));
+      if (deflated.length < data.length) {
+        method = METHOD_DEFLATE;
+        stored = deflated;
+      }
+    }
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, FLAG_UTF8, true);
+    header.setUint16(8, method, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, stored.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, name.length, true);
+    parts.push(header, name, stored);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, FLAG_UTF8, true);
+    entry.setUint16(10, method, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, stored.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    directory.push(entry, name);
+
+    offset += 30 + name.length + stored.length;
+  }
+
+  const directorySize = directory.reduce((total, part) => total + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(END_OF_CENTRAL_DIRECTORY_SIZE));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+};